@@ -0,0 +1,99 @@
+// Common ways people write countries that do not match Odoo's name or ISO code
+const COUNTRY_ALIASES = {
+    'usa': 'US',
+    'united states of america': 'US',
+    'america': 'US',
+    'uk': 'GB',
+    'great britain': 'GB',
+    'england': 'GB',
+    'scotland': 'GB',
+    'wales': 'GB',
+    'northern ireland': 'GB',
+    'holland': 'NL',
+    'the netherlands': 'NL',
+    'uae': 'AE',
+    'south korea': 'KR',
+    'korea': 'KR',
+    'russia': 'RU',
+    'czech republic': 'CZ',
+    'ivory coast': 'CI',
+    'vietnam': 'VN'
+};
+
+// Lowercase, drop accents and punctuation so "Côte d'Ivoire" and "cote d ivoire" compare equal
+function normalize(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[̀-ͯ]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Resolves Jotform's free-text country and state answers to res.country / res.country.state IDs.
+// Countries are loaded once and states once per country, then served from memory.
+function createAddressResolver(call) {
+    let countries = null;
+    const statesByCountry = new Map();
+
+    async function loadCountries() {
+        if (!countries) {
+            const records = await call('res.country', 'search_read', [[]], { fields: ['id', 'name', 'code'] });
+            countries = new Map();
+            records.forEach(country => {
+                countries.set(normalize(country.name), country.id);
+                countries.set(normalize(country.code), country.id);
+            });
+        }
+        return countries;
+    }
+
+    async function loadStates(countryId) {
+        if (!statesByCountry.has(countryId)) {
+            const records = await call('res.country.state', 'search_read',
+                [[['country_id', '=', countryId]]], { fields: ['id', 'name', 'code'] });
+            const states = new Map();
+            records.forEach(state => {
+                states.set(normalize(state.name), state.id);
+                states.set(normalize(state.code), state.id);
+            });
+            statesByCountry.set(countryId, states);
+        }
+        return statesByCountry.get(countryId);
+    }
+
+    async function resolveCountry(value) {
+        const key = normalize(value);
+        if (!key) return null;
+
+        const lookup = await loadCountries();
+        const countryId = lookup.get(key) || lookup.get(normalize(COUNTRY_ALIASES[key]));
+        if (!countryId) {
+            console.warn(`Could not match country "${value}" to an Odoo country, leaving it empty`);
+        }
+        return countryId || null;
+    }
+
+    async function resolveState(countryId, value) {
+        const key = normalize(value);
+        if (!key || !countryId) return null;
+
+        const lookup = await loadStates(countryId);
+        const stateId = lookup.get(key);
+        if (!stateId) {
+            console.warn(`Could not match state "${value}" to a state of country ${countryId}, leaving it empty`);
+        }
+        return stateId || null;
+    }
+
+    // Returns { countryId, stateId } for a Jotform address answer, null where nothing matched
+    async function resolveAddress(address) {
+        const countryId = await resolveCountry(address && address.country);
+        const stateId = await resolveState(countryId, address && address.state);
+        return { countryId, stateId };
+    }
+
+    return { resolveCountry, resolveState, resolveAddress };
+}
+
+module.exports = { createAddressResolver, normalize };
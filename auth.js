@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Compare secrets in constant time so the token cannot be guessed byte by byte
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function ipv4ToNumber(ip) {
+    const parts = ip.split('.').map(Number);
+    if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) return null;
+    return parts.reduce((number, part) => number * 256 + part, 0);
+}
+
+// Express reports IPv4 clients on dual-stack sockets as "::ffff:1.2.3.4"
+function normalizeIp(ip) {
+    return String(ip || '').replace(/^::ffff:/, '');
+}
+
+// Does the IP match an entry of the allowlist? Entries are single addresses or IPv4 CIDR ranges
+function isIpAllowed(ip, allowlist) {
+    const address = normalizeIp(ip);
+    return allowlist.some(entry => {
+        if (!entry.includes('/')) return normalizeIp(entry) === address;
+
+        const [range, bits] = entry.split('/');
+        const addressNumber = ipv4ToNumber(address);
+        const rangeNumber = ipv4ToNumber(range);
+        if (addressNumber === null || rangeNumber === null) return false;
+
+        const size = 2 ** (32 - Number(bits));
+        return Math.floor(addressNumber / size) === Math.floor(rangeNumber / size);
+    });
+}
+
+// Asks the Jotform API whether the submission exists and belongs to the form it claims
+function createJotformVerifier({ apiUrl = 'https://api.jotform.com', apiKey, timeout = 10000 }) {
+    return async function verifySubmission(submissionId, formId) {
+        try {
+            const response = await axios.get(`${apiUrl}/submission/${encodeURIComponent(submissionId)}`, {
+                params: { apiKey: apiKey },
+                timeout: timeout
+            });
+            const submission = response.data && response.data.content;
+            return Boolean(submission && String(submission.id) === String(submissionId) &&
+                (!formId || String(submission.form_id) === String(formId)));
+        } catch (error) {
+            if (error.response && [400, 401, 404].includes(error.response.status)) return false;
+            throw error;
+        }
+    };
+}
+
+// Express middleware guarding the webhook. Every check is optional:
+// - token: shared secret, sent as ?token= or in the X-Webhook-Token header (401 when wrong)
+// - allowedIps: addresses or CIDR ranges Jotform posts from (403 otherwise)
+// - verifySubmission: async (submissionId, formId) => boolean (403 when false)
+// Runs after the body parser, since the submission ID is part of the form data.
+function createWebhookAuth({ token, allowedIps = [], verifySubmission = null }) {
+    return async function webhookAuth(req, res, next) {
+        if (token) {
+            const provided = req.query.token || req.get('X-Webhook-Token') || '';
+            if (!safeEqual(provided, token)) {
+                console.warn(`Rejected webhook from ${req.ip}: missing or invalid token`);
+                return res.status(401).json({ success: false, error: 'Unauthorized', message: 'Invalid webhook token' });
+            }
+        }
+
+        if (allowedIps.length && !isIpAllowed(req.ip, allowedIps)) {
+            console.warn(`Rejected webhook from ${req.ip}: address not in the allowlist`);
+            return res.status(403).json({ success: false, error: 'Forbidden', message: 'Address not allowed' });
+        }
+
+        if (verifySubmission) {
+            const submissionId = req.body && req.body.submissionID;
+            let verified = false;
+            try {
+                verified = Boolean(submissionId) && await verifySubmission(submissionId, req.body.formID);
+            } catch (error) {
+                // Jotform will retry the delivery, so do not reject it for good
+                console.error('Could not verify submission with Jotform:', error.message);
+                return res.status(503).json({ success: false, error: 'Service Unavailable', message: 'Could not verify the submission' });
+            }
+
+            if (!verified) {
+                console.warn(`Rejected webhook from ${req.ip}: submission ${submissionId} could not be verified`);
+                return res.status(403).json({ success: false, error: 'Forbidden', message: 'Unknown submission' });
+            }
+        }
+
+        next();
+    };
+}
+
+// Express middleware guarding the admin and ledger routes, which expose customer data.
+// The token is sent as "Authorization: Bearer <token>" or in the X-Admin-Token header;
+// without a configured token the routes stay closed.
+function createAdminAuth({ token }) {
+    return function adminAuth(req, res, next) {
+        if (!token) {
+            return res.status(403).json({ success: false, error: 'Forbidden', message: 'Admin API is disabled, set ADMIN_TOKEN to enable it' });
+        }
+
+        const header = req.get('Authorization') || '';
+        const provided = header.startsWith('Bearer ') ? header.slice(7) : (req.get('X-Admin-Token') || '');
+        if (!safeEqual(provided, token)) {
+            console.warn(`Rejected admin request from ${req.ip}: missing or invalid token`);
+            return res.status(401).json({ success: false, error: 'Unauthorized', message: 'Invalid admin token' });
+        }
+        next();
+    };
+}
+
+module.exports = { createWebhookAuth, createAdminAuth, createJotformVerifier, isIpAllowed };
@@ -0,0 +1,54 @@
+const fs = require('fs');
+
+const PRICE_SOURCES = ['form', 'pricelist'];
+
+// Load the catalog mapping from Jotform product IDs to Odoo products:
+//
+//   {
+//       "strict": true,            // reject orders with products that are not mapped
+//       "priceSource": "pricelist", // "form" trusts the submitted unitPrice
+//       "products": {
+//           "1001": { "defaultCode": "TSHIRT" }, // product.template (or variant) internal reference
+//           "1003": { "productId": 42 }          // a fixed product.product
+//       }
+//   }
+//
+// A missing file means no mapping: products are matched by name and prices come from the form.
+function loadCatalog(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return { strict: false, priceSource: 'form', products: {} };
+    }
+
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const catalog = {
+        strict: config.strict === true,
+        priceSource: config.priceSource || 'form',
+        products: config.products || {}
+    };
+    const problems = [];
+
+    if (!PRICE_SOURCES.includes(catalog.priceSource)) {
+        problems.push(`priceSource must be one of ${PRICE_SOURCES.join(', ')}`);
+    }
+
+    Object.entries(catalog.products).forEach(([jotformId, entry]) => {
+        const hasCode = entry && typeof entry.defaultCode === 'string' && entry.defaultCode !== '';
+        const hasId = entry && Number.isInteger(entry.productId);
+        if (hasCode === hasId) {
+            problems.push(`product ${jotformId}: set exactly one of "defaultCode" or "productId"`);
+        }
+    });
+
+    if (problems.length) {
+        throw new Error(`Invalid catalog in ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return catalog;
+}
+
+// Products of an order that have no catalog entry
+function findUnmappedProducts(catalog, products) {
+    return products.filter(product => !product.product_id || !catalog.products[product.product_id]);
+}
+
+module.exports = { loadCatalog, findUnmappedProducts };
@@ -0,0 +1,65 @@
+// The currency codes the ordered products are priced in, without duplicates
+function getOrderCurrencies(products) {
+    return [...new Set(products.map(product => String(product.currency || '').trim().toUpperCase()).filter(Boolean))];
+}
+
+// Resolves the currency of an order to res.currency and the pricelist its sale order is booked with.
+// `pricelists` maps currency codes to product.pricelist IDs, e.g. { "EUR": 3 }.
+// Currencies without an entry use Odoo's first pricelist in that currency; the company currency
+// may go without a pricelist, Odoo then prices the order as it always did.
+function createCurrencyResolver(call, { pricelists = {} } = {}) {
+    const cache = new Map();
+    let companyCurrencyId = null;
+
+    async function loadCompanyCurrency() {
+        if (!companyCurrencyId) {
+            const [company] = await call('res.company', 'search_read', [[]], { fields: ['currency_id'], limit: 1 });
+            companyCurrencyId = company ? company.currency_id[0] : null;
+        }
+        return companyCurrencyId;
+    }
+
+    // Only complete answers are cached: a currency activated or a pricelist added in Odoo later
+    // is picked up by the next order without a restart
+    async function resolveCurrency(code) {
+        if (!cache.has(code)) {
+            const currencyIds = await call('res.currency', 'search', [[['name', '=', code]]], { limit: 1 });
+            const currencyId = currencyIds.length ? currencyIds[0] : null;
+
+            let pricelistId = pricelists[code] || null;
+            if (currencyId && !pricelistId) {
+                const pricelistIds = await call('product.pricelist', 'search', [[['currency_id', '=', currencyId]]], { limit: 1 });
+                pricelistId = pricelistIds.length ? pricelistIds[0] : null;
+            }
+            if (!currencyId || !pricelistId) return { currencyId, pricelistId };
+            cache.set(code, { currencyId, pricelistId });
+        }
+        return cache.get(code);
+    }
+
+    // Returns { currency, currencyId, pricelistId, problem } for the ordered products.
+    // `problem` explains why the order cannot be booked in its currency, and is null when it can.
+    // Products without a currency (forms without payment) leave everything to Odoo.
+    async function resolveOrderCurrency(products) {
+        const currencies = getOrderCurrencies(products);
+        const result = { currency: currencies[0] || null, currencyId: null, pricelistId: null, problem: null };
+
+        if (currencies.length > 1) {
+            return { ...result, problem: `The order mixes currencies ${currencies.join(', ')}` };
+        }
+        if (!result.currency) return result;
+
+        const { currencyId, pricelistId } = await resolveCurrency(result.currency);
+        if (!currencyId) {
+            return { ...result, problem: `Currency ${result.currency} is not active in Odoo` };
+        }
+        if (!pricelistId && currencyId !== await loadCompanyCurrency()) {
+            return { ...result, currencyId, problem: `No pricelist is configured for currency ${result.currency}` };
+        }
+        return { ...result, currencyId, pricelistId };
+    }
+
+    return { resolveOrderCurrency };
+}
+
+module.exports = { createCurrencyResolver, getOrderCurrencies };
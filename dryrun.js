@@ -0,0 +1,49 @@
+// Odoo methods that only read; anything else changes data and is never sent during a dry run
+const { READ_METHODS } = require('./odoo');
+
+// Records a dry run would create are stood in for by IDs like "new:res.partner:1"
+function isPlanned(value) {
+    return typeof value === 'string' && value.startsWith('new:');
+}
+
+function referencesPlanned(value) {
+    if (Array.isArray(value)) return value.some(referencesPlanned);
+    if (value && typeof value === 'object') return Object.values(value).some(referencesPlanned);
+    return isPlanned(value);
+}
+
+// Stands in for odoo.execute while planning an order. Reads go to Odoo; writes are only recorded
+// in `operations` and answered with a planned ID, so the planning code carries on as if they happened.
+function createDryRun(execute) {
+    const operations = [];
+    let counter = 0;
+
+    const planId = (model) => `new:${model}:${++counter}`;
+
+    async function call(model, method, args = [], kwargs) {
+        if (READ_METHODS.includes(method)) {
+            // Odoo builds variants on its own when templates or attribute lines change
+            if (model === 'product.product' && method === 'search' && operations.some(op => op.model.startsWith('product.'))) {
+                const ids = referencesPlanned(args) ? [] : await execute(model, method, args, kwargs);
+                return ids.length ? ids : [planId(model)];
+            }
+            // Planned records do not exist yet, so nothing can be found through them
+            if (referencesPlanned(args)) return method === 'search_count' ? 0 : [];
+            return execute(model, method, args, kwargs);
+        }
+
+        const result = method === 'create' ? planId(model) : true;
+        operations.push({
+            model: model,
+            method: method,
+            args: args,
+            ...(kwargs ? { kwargs: kwargs } : {}),
+            ...(method === 'create' ? { id: result } : {})
+        });
+        return result;
+    }
+
+    return { call, operations };
+}
+
+module.exports = { createDryRun, isPlanned };
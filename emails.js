@@ -0,0 +1,185 @@
+const { permanentError } = require('./errors');
+const { many2oneId, many2oneName } = require('./odoo');
+
+// Used when a form has no email settings of its own and Odoo has no invoice template
+const DEFAULT_EMAIL = {
+    subject: 'Invoice {{invoice.name}}',
+    body: `
+            <p>Dear {{customer.name}},</p>
+            <p>Please find attached your invoice <strong>{{invoice.name}}</strong> for the amount of {{invoice.total}} {{invoice.currency}}.</p>
+            <p>Thank you for your business!</p>
+            <p>Best regards,<br/>{{company.name}}</p>
+        `
+};
+
+// XML IDs look like "module.record_name"; template names have spaces or no dot at all
+const XML_ID = /^\w+\.\w+$/;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Fill "{{ customer.name }}"-style placeholders from the context; unknown ones render empty
+function renderTemplate(template, context, { html = false } = {}) {
+    return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => {
+        const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), context);
+        if (value === undefined || value === null || value === false) return '';
+        return html ? escapeHtml(value) : String(value);
+    });
+}
+
+// The local template in the given language, or the untranslated one
+function translateTemplate(template, lang) {
+    const translations = template.translations || {};
+    if (!lang) return template;
+    return translations[lang] || translations[lang.split('_')[0]] || template;
+}
+
+// Sends invoices to customers, either through an Odoo mail.template or with a local
+// subject/body template, with the PDF of the invoice report attached. Both are rendered in the
+// customer's language (res.partner lang) when there is one, otherwise in the company default.
+// Local templates take "translations": { "fr_FR": { subject, body } }, also matched by "fr".
+// `downloadReport(reportName, ids, context)` resolves to the rendered PDF as a Buffer.
+// Per-form settings (`email` in the form mapping file) pick the template:
+//   { "template": "account.email_template_edi_invoice" }     // XML ID or template name
+//   { "subject": "Invoice {{invoice.name}}", "body": "<p>Dear {{customer.name}}</p>" }
+// Without settings the first invoice template Odoo has is used, or the built-in local one.
+function createInvoiceMailer(call, { downloadReport, report = 'account.report_invoice' }) {
+    const templateIds = new Map();
+
+    async function findTemplate(reference) {
+        if (XML_ID.test(reference)) {
+            const [module, name] = reference.split('.');
+            const records = await call('ir.model.data', 'search_read',
+                [[['module', '=', module], ['name', '=', name], ['model', '=', 'mail.template']]],
+                { fields: ['res_id'], limit: 1 });
+            if (records.length) return records[0].res_id;
+        }
+        const ids = await call('mail.template', 'search', [[['model', '=', 'account.move'], ['name', '=', reference]]], { limit: 1 });
+        return ids.length ? ids[0] : null;
+    }
+
+    // The mail.template to send with, or null when the email is rendered locally
+    async function resolveTemplate(emailConfig) {
+        if (emailConfig && !emailConfig.template) return null;
+
+        const reference = emailConfig ? emailConfig.template : null;
+        if (!templateIds.has(reference)) {
+            let templateId;
+            if (reference) {
+                templateId = await findTemplate(reference);
+                if (!templateId) {
+                    throw permanentError(`Email template "${reference}" does not exist in Odoo`);
+                }
+            } else {
+                const ids = await call('mail.template', 'search', [[['model', '=', 'account.move'], ['name', 'ilike', 'invoice']]], { limit: 1 });
+                templateId = ids.length ? ids[0] : null;
+            }
+            templateIds.set(reference, templateId);
+        }
+        return templateIds.get(reference);
+    }
+
+    // Templates with a report of their own already attach the PDF
+    async function templateHasReport(templateId) {
+        const fields = await call('mail.template', 'fields_get', [['report_template', 'report_template_ids']], { attributes: ['type'] });
+        const names = Object.keys(fields);
+        if (!names.length) return false;
+
+        const [template] = await call('mail.template', 'read', [[templateId]], { fields: names });
+        return names.some(name => (Array.isArray(template[name]) ? template[name].length > 0 : Boolean(template[name])));
+    }
+
+    // Render the invoice report and store it as an attachment of the invoice
+    async function attachInvoicePdf(invoice, lang) {
+        const pdf = await downloadReport(report, [invoice.id], lang ? { lang: lang } : null);
+        return call('ir.attachment', 'create', [{
+            name: `${String(invoice.name || 'Invoice').replace(/\//g, '_')}.pdf`,
+            type: 'binary',
+            datas: pdf.toString('base64'),
+            mimetype: 'application/pdf',
+            res_model: 'account.move',
+            res_id: invoice.id
+        }]);
+    }
+
+    // The PDF is worth having but not worth losing the email over, e.g. when Odoo refuses the web
+    // session the report route needs (API key without password)
+    async function tryAttachInvoicePdf(invoice, lang) {
+        try {
+            return await attachInvoicePdf(invoice, lang);
+        } catch (error) {
+            console.warn(`Could not attach the PDF of invoice ${invoice.name || invoice.id}, sending the email without it:`, error.message);
+            return null;
+        }
+    }
+
+    async function readContext(invoiceId) {
+        const [invoice] = await call('account.move', 'read', [[invoiceId]], {
+            fields: ['name', 'partner_id', 'amount_total', 'amount_residual', 'currency_id',
+                'invoice_date', 'invoice_date_due', 'invoice_origin', 'company_id']
+        });
+        const [partner] = await call('res.partner', 'read', [[many2oneId(invoice.partner_id)]], { fields: ['name', 'email', 'lang'] });
+
+        return {
+            invoice: {
+                id: invoice.id,
+                name: invoice.name,
+                total: invoice.amount_total,
+                amountDue: invoice.amount_residual,
+                currency: many2oneName(invoice.currency_id),
+                date: invoice.invoice_date,
+                dueDate: invoice.invoice_date_due
+            },
+            order: { name: invoice.invoice_origin },
+            customer: { name: partner.name, email: partner.email, lang: partner.lang || null },
+            company: { name: many2oneName(invoice.company_id) }
+        };
+    }
+
+    // Send the invoice to its customer; returns the template send result or the mail.mail ID
+    async function sendInvoice(invoiceId, emailConfig) {
+        const templateId = await resolveTemplate(emailConfig);
+        const context = await readContext(invoiceId);
+        const lang = context.customer.lang;
+
+        if (templateId) {
+            const emailValues = {};
+            if (!(await templateHasReport(templateId))) {
+                const attachmentId = await tryAttachInvoicePdf(context.invoice, lang);
+                if (attachmentId) emailValues.attachment_ids = [attachmentId];
+            }
+            return call('mail.template', 'send_mail', [templateId, invoiceId], {
+                force_send: true,
+                email_values: emailValues,
+                ...(lang ? { context: { lang: lang } } : {})
+            });
+        }
+
+        if (!context.customer.email) {
+            throw new Error('Customer email not found');
+        }
+
+        const template = translateTemplate(emailConfig || DEFAULT_EMAIL, lang);
+        const attachmentId = await tryAttachInvoicePdf(context.invoice, lang);
+        const mailId = await call('mail.mail', 'create', [{
+            subject: renderTemplate(template.subject, context),
+            body_html: renderTemplate(template.body, context, { html: true }),
+            email_to: context.customer.email,
+            model: 'account.move',
+            res_id: invoiceId,
+            attachment_ids: [[6, 0, attachmentId ? [attachmentId] : []]],
+            auto_delete: true
+        }]);
+        await call('mail.mail', 'send', [[mailId]]);
+        return mailId;
+    }
+
+    return { resolveTemplate, sendInvoice };
+}
+
+module.exports = { createInvoiceMailer, renderTemplate };
@@ -0,0 +1,15 @@
+// An error retrying cannot fix (invalid data, a missing catalog entry...): the queue dead-letters it at once
+function permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+}
+
+// HTTP failures worth another try: no answer at all, timeouts, rate limits and server errors.
+// Other 4xx answers will not change by sending the same request again.
+function isTransientHttpError(error) {
+    const status = error.response && error.response.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+}
+
+module.exports = { permanentError, isTransientHttpError };
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./store');
+const { createQueue } = require('./queue');
+const { isIpAllowed } = require('./auth');
+const { isTransientHttpError } = require('./errors');
+
+const EVENT_TYPES = ['order.created', 'order.confirmed', 'invoice.posted', 'email.sent', 'order.failed'];
+const SETTLED_DELIVERIES = ['delivered', 'failed', 'skipped'];
+
+// Receivers check X-Webhook-Signature against HMAC-SHA256("<timestamp>.<body>") with their secret
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Addresses inside the network the server runs in, which subscriptions may not point at
+const PRIVATE_RANGES = ['0.0.0.0/8', '10.0.0.0/8', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16', '100.64.0.0/10'];
+
+function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local')) return true;
+    if (host.includes(':')) return host === '::' || host === '::1' || /^(f[cd]|fe[89ab])/.test(host) || host.startsWith('::ffff:');
+    return isIpAllowed(host, PRIVATE_RANGES);
+}
+
+// Problems with a subscription request: { url, events, secret }. Endpoints must be public https URLs,
+// unless `allowedHosts` is given: then only those hosts are accepted, over http or https.
+function validateSubscription({ url, events, secret }, { allowedHosts = [] } = {}) {
+    const problems = [];
+    let target = null;
+    try {
+        target = new URL(String(url || ''));
+    } catch (error) {
+        problems.push('url must be an absolute URL');
+    }
+    if (target) {
+        if (allowedHosts.length) {
+            if (!['http:', 'https:'].includes(target.protocol)) problems.push('url must be an http(s) URL');
+            if (!allowedHosts.includes(target.hostname.toLowerCase())) problems.push(`host ${target.hostname} is not in EVENT_ALLOWED_HOSTS`);
+        } else {
+            if (target.protocol !== 'https:') problems.push('url must be an https URL');
+            if (isPrivateHost(target.hostname)) problems.push(`host ${target.hostname} is a local or private address`);
+        }
+        if (target.username || target.password) problems.push('url must not contain credentials');
+    }
+    if (!Array.isArray(events) || events.length === 0) {
+        problems.push(`events must list some of ${EVENT_TYPES.join(', ')} or "*"`);
+    } else {
+        events.filter(event => event !== '*' && !EVENT_TYPES.includes(event))
+            .forEach(event => problems.push(`unknown event "${event}"`));
+    }
+    if (secret !== undefined && secret !== null && (typeof secret !== 'string' || secret === '')) {
+        problems.push('secret must be a non-empty string');
+    }
+    return problems;
+}
+
+// Outgoing event webhooks for downstream systems. Subscriptions ({ url, events, secret }) are kept
+// in a registry; every published event is stored with a delivery log per subscription and
+// delivered through a durable queue, so failed deliveries are retried with exponential backoff.
+// Events carry customer details, so once all their deliveries are settled they are only kept for
+// `retentionDays` (0 keeps them).
+function createEventDispatcher({
+    subscriptionsFile,
+    eventsFile,
+    jobsFile,
+    deadLetterFile,
+    maxAttempts = 8,
+    retryDelay = 10000,
+    timeout = 10000,
+    allowedHosts = [],
+    retentionDays = 30
+}) {
+    const subscriptions = createStore(subscriptionsFile);
+    const events = createStore(eventsFile);
+
+    function updateDelivery(eventId, subscriptionId, changes) {
+        const event = events.get(eventId);
+        if (!event) return;
+        const delivery = event.deliveries[subscriptionId] || {};
+        const { attempt, ...rest } = changes;
+        events.update(eventId, {
+            deliveries: {
+                ...event.deliveries,
+                [subscriptionId]: {
+                    ...delivery,
+                    ...rest,
+                    attempts: attempt ? [...(delivery.attempts || []), attempt] : (delivery.attempts || [])
+                }
+            }
+        });
+    }
+
+    async function deliver(job) {
+        const { eventId, subscriptionId } = job.payload;
+        const event = events.get(eventId);
+        const subscription = subscriptions.get(subscriptionId);
+        if (!event || !subscription) {
+            updateDelivery(eventId, subscriptionId, { status: 'skipped' });
+            return { skipped: true };
+        }
+        // Subscriptions are checked again, the allowed hosts may have changed since they were added
+        const problems = validateSubscription(subscription, { allowedHosts });
+        if (problems.length) {
+            updateDelivery(eventId, subscriptionId, { status: 'skipped', error: problems.join('; ') });
+            return { skipped: true };
+        }
+
+        const body = JSON.stringify({ id: event.id, type: event.type, createdAt: event.createdAt, data: event.data });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        try {
+            const response = await axios.post(subscription.url, body, {
+                timeout: timeout,
+                // A redirect could lead the delivery to an address the subscription check refused
+                maxRedirects: 0,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Webhook-Id': event.id,
+                    'X-Webhook-Event': event.type,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+                }
+            });
+            updateDelivery(eventId, subscriptionId, {
+                status: 'delivered',
+                deliveredAt: new Date().toISOString(),
+                attempt: { at: new Date(startedAt).toISOString(), statusCode: response.status, durationMs: Date.now() - startedAt }
+            });
+            return { statusCode: response.status };
+        } catch (error) {
+            const status = error.response ? error.response.status : null;
+            updateDelivery(eventId, subscriptionId, {
+                status: 'retrying',
+                attempt: { at: new Date(startedAt).toISOString(), statusCode: status, error: error.message, durationMs: Date.now() - startedAt }
+            });
+            const failure = new Error(`Delivery of ${event.type} ${event.id} to ${subscription.url} failed (${status || error.code}): ${error.message}`);
+            failure.retryable = isTransientHttpError(error);
+            throw failure;
+        }
+    }
+
+    const deliveries = createQueue({
+        jobsFile: jobsFile,
+        deadLetterFile: deadLetterFile,
+        maxAttempts: maxAttempts,
+        retryDelay: retryDelay,
+        handler: deliver,
+        onDeadLetter: (job, error) => {
+            updateDelivery(job.payload.eventId, job.payload.subscriptionId, { status: 'failed', error: error.message });
+        }
+    });
+
+    // Store the event and queue one delivery per subscription that wants it
+    function publish(type, data) {
+        if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type "${type}"`);
+
+        const receivers = subscriptions.list()
+            .filter(subscription => subscription.active !== false)
+            .filter(subscription => subscription.events.includes('*') || subscription.events.includes(type));
+        if (!receivers.length) return null;
+
+        const id = uuidv4();
+        const event = events.set(id, {
+            id: id,
+            type: type,
+            createdAt: new Date().toISOString(),
+            data: data,
+            deliveries: {}
+        });
+        receivers.forEach(subscription => {
+            updateDelivery(id, subscription.id, { url: subscription.url, status: 'pending' });
+            deliveries.enqueue({ eventId: id, subscriptionId: subscription.id });
+        });
+        return event;
+    }
+
+    // Secrets are only shown when the subscription is created
+    const withoutSecret = ({ secret, ...subscription }) => subscription;
+
+    function addSubscription({ url, events: types, secret, description }) {
+        const problems = validateSubscription({ url, events: types, secret }, { allowedHosts });
+        if (problems.length) {
+            const error = new Error(`Invalid subscription: ${problems.join('; ')}`);
+            error.problems = problems;
+            throw error;
+        }
+
+        const id = uuidv4();
+        return subscriptions.set(id, {
+            id: id,
+            url: url,
+            events: types,
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            description: description || null,
+            active: true,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    function removeSubscription(id) {
+        if (!subscriptions.has(id)) return false;
+        subscriptions.remove(id);
+        return true;
+    }
+
+    function pruneEvents() {
+        if (!retentionDays) return;
+
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const expired = events.list().filter(event =>
+            new Date(event.createdAt).getTime() < cutoff &&
+            Object.values(event.deliveries).every(delivery => SETTLED_DELIVERIES.includes(delivery.status)));
+
+        expired.forEach(event => events.remove(event.id));
+        if (expired.length) {
+            console.log(`Removed ${expired.length} settled event(s) older than ${retentionDays} days`);
+        }
+    }
+
+    return {
+        publish,
+        pruneEvents,
+        addSubscription,
+        removeSubscription,
+        listSubscriptions: () => subscriptions.list().map(withoutSecret),
+        getEvent: (id) => events.get(id),
+        // Newest first, optionally only one type
+        listEvents: ({ type } = {}) => events.list()
+            .filter(event => !type || event.type === type)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+        start: () => deliveries.start()
+    };
+}
+
+module.exports = { createEventDispatcher, signPayload, validateSubscription, EVENT_TYPES };
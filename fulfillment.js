@@ -0,0 +1,70 @@
+const axios = require('axios');
+const { isTransientHttpError } = require('./errors');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Connection errors raised before the order went out
+const UNSENT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Client for the fulfillment service: posts normalized orders with bearer auth,
+// a per-request timeout and a few quick retries with exponential backoff.
+// The Idempotency-Key header lets the service drop an order it already received,
+// since a timed out push may still have gone through.
+function createFulfillmentClient({ url, apiKey, timeout = 10000, retries = 3, retryDelay = 1000 }) {
+    async function pushOrder(order, { idempotencyKey = null } = {}) {
+        let maybeDelivered = false;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await axios.post(url, order, {
+                    timeout: timeout,
+                    headers: {
+                        'Authorization': `Bearer ${apiKey}`,
+                        'Content-Type': 'application/json',
+                        ...(idempotencyKey ? { 'Idempotency-Key': String(idempotencyKey) } : {})
+                    }
+                });
+                return response.data || {};
+            } catch (error) {
+                const status = error.response ? error.response.status : error.code;
+                // Without an answer the service may still have taken the order
+                if (!error.response && !UNSENT_ERRORS.includes(error.code)) maybeDelivered = true;
+                if (!isTransientHttpError(error) || attempt > retries) {
+                    const failure = new Error(`Fulfillment API rejected order ${order.reference} (${status}): ${error.message}`);
+                    failure.retryable = isTransientHttpError(error);
+                    failure.maybeDelivered = maybeDelivered;
+                    throw failure;
+                }
+
+                const delay = retryDelay * 2 ** (attempt - 1);
+                console.warn(`Fulfillment API call failed (${status}), retrying in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    return { pushOrder };
+}
+
+// The fulfillment service's view of an order
+function buildFulfillmentOrder({ saleOrder, submissionId, customer, products }) {
+    return {
+        reference: saleOrder.name,
+        odooSaleOrderId: saleOrder.id,
+        submissionId: submissionId,
+        customer: {
+            name: customer.name,
+            email: customer.email,
+            phone: customer.phone
+        },
+        address: customer.shipping || customer.billing,
+        lines: products.map(product => ({
+            productId: product.product_id,
+            name: product.product_name,
+            quantity: product.quantity,
+            unitPrice: product.unit_price,
+            options: product.options
+        }))
+    };
+}
+
+module.exports = { createFulfillmentClient, buildFulfillmentOrder };
@@ -0,0 +1,48 @@
+const { normalize } = require('./addresses');
+
+// Resolves a form locale or a language answer ("fr_FR", "fr", "French", "Français") to the code
+// of an active res.lang. The active languages are loaded once, then served from memory.
+function createLanguageResolver(call) {
+    let languages = null;
+
+    async function loadLanguages() {
+        if (!languages) {
+            const records = await call('res.lang', 'search_read', [[['active', '=', true]]], { fields: ['code', 'iso_code', 'name'] });
+            languages = new Map();
+            // Exact codes first, so "fr" maps to a language whose ISO code is "fr" before any "fr_XX" variant
+            records.forEach(lang => {
+                languages.set(normalize(lang.code), lang.code);
+                if (lang.iso_code) languages.set(normalize(lang.iso_code), lang.code);
+            });
+            records.forEach(lang => {
+                const prefix = normalize(lang.code.split('_')[0]);
+                if (!languages.has(prefix)) languages.set(prefix, lang.code);
+                // Names read like "French (BE) / Français (BE)"
+                String(lang.name || '').split('/').forEach(name => {
+                    const key = normalize(name);
+                    if (key && !languages.has(key)) languages.set(key, lang.code);
+                    const plain = normalize(name.replace(/\(.*\)/, ''));
+                    if (plain && !languages.has(plain)) languages.set(plain, lang.code);
+                });
+            });
+        }
+        return languages;
+    }
+
+    // The res.lang code, or null to leave the language to Odoo's defaults
+    async function resolveLanguage(value) {
+        const key = normalize(value);
+        if (!key) return null;
+
+        const lookup = await loadLanguages();
+        const code = lookup.get(key) || lookup.get(key.split(' ')[0]);
+        if (!code) {
+            console.warn(`Could not match language "${value}" to an active Odoo language, using the default`);
+        }
+        return code || null;
+    }
+
+    return { resolveLanguage };
+}
+
+module.exports = { createLanguageResolver };
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+
+// Fields a form mapping can point at; the required ones must be mapped for every form.
+// `type` says what kind of Jotform answer the mapped question holds, for validation.
+const MAPPING_FIELDS = {
+    partnerName: { required: true, type: 'name' },
+    email: { required: false, type: 'email' },
+    phone: { required: false, type: 'phone' },
+    billingAddress: { required: false, type: 'address' },
+    shippingAddress: { required: false, type: 'address' },
+    products: { required: true, type: 'products' },
+    notes: { required: false, type: 'text' },
+    language: { required: false, type: 'text' }
+};
+
+// Jotform question keys look like "q43_myProducts"
+const QUESTION_KEY = /^q\d+_\w+$/;
+
+// Invoice email settings of a form: an Odoo template ({ template }) or a local one
+// ({ subject, body } or { subject, bodyFile } relative to the mapping file), the local one
+// optionally with "translations": { "fr_FR": { subject, body/bodyFile } }. Returns the problems found.
+function loadEmailSettings(email, baseDir) {
+    if (email.template) {
+        const problems = [];
+        if (email.subject || email.body || email.bodyFile) problems.push('takes either a template or a subject and body, not both');
+        if (email.translations) problems.push('translations only apply to local templates, Odoo translates its own');
+        return problems;
+    }
+    if (!email.subject || !(email.body || email.bodyFile)) {
+        return ['needs a template, or a subject with a body or bodyFile'];
+    }
+
+    const problems = [];
+    if (email.bodyFile) {
+        const bodyPath = path.resolve(baseDir, email.bodyFile);
+        if (fs.existsSync(bodyPath)) {
+            email.body = fs.readFileSync(bodyPath, 'utf8');
+        } else {
+            problems.push(`bodyFile ${bodyPath} does not exist`);
+        }
+    }
+    Object.entries(email.translations || {}).forEach(([lang, translation]) => {
+        if (translation && translation.template) {
+            problems.push(`translation ${lang} cannot use an Odoo template`);
+            return;
+        }
+        loadEmailSettings(translation || {}, baseDir).forEach(problem => problems.push(`translation ${lang} ${problem}`));
+    });
+    return problems;
+}
+
+// Load the per-form field mapping file and validate it, throwing with every problem found
+function loadFormMappings(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const forms = config.forms || {};
+    const problems = [];
+
+    if (Object.keys(forms).length === 0) {
+        problems.push('no forms are configured');
+    }
+
+    Object.entries(forms).forEach(([formId, form]) => {
+        const fields = (form && form.fields) || {};
+
+        Object.entries(MAPPING_FIELDS).forEach(([field, { required }]) => {
+            const question = fields[field];
+            if (question === undefined || question === null) {
+                if (required) problems.push(`form ${formId}: "${field}" must be mapped`);
+                return;
+            }
+            if (typeof question !== 'string' || !QUESTION_KEY.test(question)) {
+                problems.push(`form ${formId}: "${field}" has an invalid question key ${JSON.stringify(question)}`);
+            }
+        });
+
+        Object.keys(fields)
+            .filter(field => !MAPPING_FIELDS[field])
+            .forEach(field => problems.push(`form ${formId}: unknown field "${field}"`));
+
+        if (form && form.locale !== undefined && typeof form.locale !== 'string') {
+            problems.push(`form ${formId}: locale must be a language code like "fr_FR"`);
+        }
+
+        if (form && form.email) {
+            loadEmailSettings(form.email, path.dirname(filePath)).forEach(problem => problems.push(`form ${formId}: email ${problem}`));
+        }
+    });
+
+    if (problems.length) {
+        throw new Error(`Invalid form mapping in ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return forms;
+}
+
+// The form ID is the last part of the submission slug, e.g. "submit/251482897997482"
+function getFormId(rawRequest) {
+    return String(rawRequest.slug || '').split('/').pop() || null;
+}
+
+// Full name questions arrive as { first, last, ... }, short text questions as a plain string
+function formatName(value) {
+    if (!value || typeof value === 'string') return value || '';
+    return ['prefix', 'first', 'middle', 'last', 'suffix']
+        .map(part => value[part])
+        .filter(Boolean)
+        .join(' ');
+}
+
+// Phone questions arrive as { full } or as a plain string
+function formatPhone(value) {
+    if (!value || typeof value === 'string') return value || '';
+    return value.full || '';
+}
+
+// Pick the mapped questions out of a submission
+function mapSubmission(rawRequest, form) {
+    const answer = (field) => (form.fields[field] ? rawRequest[form.fields[field]] : undefined);
+
+    return {
+        customerName: formatName(answer('partnerName')),
+        customerEmail: answer('email') || '',
+        contactNumber: formatPhone(answer('phone')),
+        billing: answer('billingAddress') || {},
+        shipping: answer('shippingAddress') || null,
+        products: answer('products'),
+        notes: answer('notes') || '',
+        language: answer('language') || form.locale || ''
+    };
+}
+
+module.exports = { MAPPING_FIELDS, loadFormMappings, getFormId, mapSubmission };
@@ -0,0 +1,79 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const EVENTS = ['completed', 'held', 'failed'];
+
+const TITLES = {
+    completed: 'New order',
+    held: 'Order held for review',
+    failed: 'Order failed'
+};
+
+// Plain text version of a notification, for the email body
+function formatText(event, details) {
+    const lines = [
+        `${TITLES[event]}: submission ${details.submissionId || 'unknown'}`,
+        '',
+        `Customer: ${details.customer.name || 'unknown'}${details.customer.email ? ` <${details.customer.email}>` : ''}`,
+        `Charged total: ${details.totals.charged ?? 'n/a'}`,
+        `Order total: ${details.totals.order ?? 'n/a'}`,
+        `Invoice total: ${details.totals.invoice ?? 'n/a'}`
+    ];
+    if (details.saleOrderId) lines.push(`Sale order: ${details.saleOrderId}`);
+    if (details.invoiceId) lines.push(`Invoice: ${details.invoiceNumber || details.invoiceId}`);
+    if (details.step) lines.push(`Failing step: ${details.step}`);
+    if (details.reason) lines.push(`Reason: ${details.reason}`);
+    if (details.error) lines.push(`Error: ${details.error}`);
+    return lines.join('\n');
+}
+
+// Internal notifications about orders, by email over SMTP and/or as a JSON POST to a webhook.
+// `email`: { smtp: nodemailer transport options, from, to } and `webhook`: { url, token } are
+// both optional; `events` picks which of completed/held/failed are sent.
+// Sending never throws: a broken notification channel must not fail an order.
+function createNotifier({ email = null, webhook = null, events = EVENTS, timeout = 10000 }) {
+    const unknown = events.filter(event => !EVENTS.includes(event));
+    if (unknown.length) {
+        throw new Error(`Unknown notification event(s) ${unknown.join(', ')}, use ${EVENTS.join(', ')}`);
+    }
+
+    const mailer = email ? nodemailer.createTransport(email.smtp) : null;
+
+    async function sendEmail(event, details) {
+        await mailer.sendMail({
+            from: email.from,
+            to: email.to,
+            subject: `${TITLES[event]}: submission ${details.submissionId || 'unknown'}`,
+            text: formatText(event, details)
+        });
+    }
+
+    async function sendWebhook(event, details) {
+        await axios.post(webhook.url, { event: `order.${event}`, timestamp: new Date().toISOString(), ...details }, {
+            timeout: timeout,
+            headers: webhook.token ? { 'Authorization': `Bearer ${webhook.token}` } : {}
+        });
+    }
+
+    // details: { submissionId, customer: { name, email }, totals: { charged, order, invoice },
+    //            saleOrderId, invoiceId, invoiceNumber, reason, step, error }
+    async function notify(event, details) {
+        if (!events.includes(event)) return;
+
+        const channels = [];
+        if (mailer) channels.push(['email', sendEmail]);
+        if (webhook) channels.push(['webhook', sendWebhook]);
+
+        await Promise.all(channels.map(async ([name, send]) => {
+            try {
+                await send(event, details);
+            } catch (error) {
+                console.error(`Failed to send ${event} notification by ${name}:`, error.message);
+            }
+        }));
+    }
+
+    return { notify };
+}
+
+module.exports = { createNotifier, EVENTS };
@@ -0,0 +1,261 @@
+const xmlrpc = require('xmlrpc');
+const axios = require('axios');
+
+// Base class for everything that goes wrong talking to Odoo
+class OdooError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, details);
+    }
+}
+
+// Odoo answered with a fault: a validation error, a missing record, a server-side exception...
+class OdooFaultError extends OdooError {}
+
+// Login failed or the session's user was rejected
+class OdooAuthError extends OdooError {}
+
+// No answer within the call timeout
+class OdooTimeoutError extends OdooError {}
+
+// Odoo could not be reached at all
+class OdooConnectionError extends OdooError {}
+
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Connection errors raised before the request went out, so Odoo never saw the call
+const UNSENT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Methods that change nothing in Odoo and can be called again whatever happened to the first call
+const READ_METHODS = ['search', 'search_read', 'search_count', 'read', 'read_group', 'fields_get', 'name_search', 'default_get'];
+
+// Faults that go away when the call is simply made again
+const TRANSIENT_FAULTS = [/could not serialize access/i, /concurrent update/i, /deadlock detected/i];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Many2one fields are read back as [id, name], or false when empty
+const many2oneId = (value) => (Array.isArray(value) ? value[0] : value);
+const many2oneName = (value) => (Array.isArray(value) ? value[1] : '');
+
+// The like operators read % and _ as wildcards, escape them to match a value literally
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+// Odoo puts the whole server traceback in the fault string; the last line is the actual error
+function faultSummary(faultString) {
+    const lines = String(faultString || '').split('\n').map(line => line.trim()).filter(Boolean);
+    return lines.length ? lines[lines.length - 1] : 'Unknown Odoo fault';
+}
+
+// Turn a raw transport error into one of the typed errors above
+function toOdooError(error, label) {
+    if (error instanceof OdooError) return error;
+
+    if (error.faultString !== undefined || error.faultCode !== undefined) {
+        const summary = faultSummary(error.faultString);
+        const ErrorClass = /AccessDenied|Access Denied|session expired/i.test(error.faultString || '')
+            ? OdooAuthError
+            : OdooFaultError;
+        return new ErrorClass(`Odoo ${label} failed: ${summary}`, {
+            faultCode: error.faultCode,
+            faultString: error.faultString,
+            transient: TRANSIENT_FAULTS.some(pattern => pattern.test(error.faultString || ''))
+        });
+    }
+
+    if (CONNECTION_ERRORS.includes(error.code)) {
+        return new OdooConnectionError(`Cannot reach Odoo (${error.code}): ${error.message}`, {
+            code: error.code,
+            transient: true,
+            unsent: UNSENT_ERRORS.includes(error.code)
+        });
+    }
+
+    return new OdooError(error.message, { code: error.code });
+}
+
+// XML-RPC transport: call(service, method, params) against /xmlrpc/2/<service>
+function createXmlRpcTransport(url) {
+    const clients = {
+        common: xmlrpc.createClient({ url: `${url}/xmlrpc/2/common` }),
+        object: xmlrpc.createClient({ url: `${url}/xmlrpc/2/object` })
+    };
+
+    return {
+        call(service, method, params) {
+            return new Promise((resolve, reject) => {
+                clients[service].methodCall(method, params, (err, result) => {
+                    if (err) return reject(err);
+                    resolve(result);
+                });
+            });
+        }
+    };
+}
+
+// JSON-RPC transport: the same services through Odoo's /jsonrpc endpoint
+function createJsonRpcTransport(url) {
+    let requestId = 0;
+
+    return {
+        async call(service, method, params) {
+            const response = await axios.post(`${url}/jsonrpc`, {
+                jsonrpc: '2.0',
+                method: 'call',
+                params: { service: service, method: method, args: params },
+                id: ++requestId
+            });
+
+            // Present errors like XML-RPC faults so both transports share the error handling
+            const { error } = response.data;
+            if (error) {
+                const data = error.data || {};
+                throw {
+                    faultCode: data.name || error.code,
+                    faultString: data.debug || data.message || error.message
+                };
+            }
+            return response.data.result;
+        }
+    };
+}
+
+const TRANSPORTS = {
+    xmlrpc: createXmlRpcTransport,
+    jsonrpc: createJsonRpcTransport
+};
+
+// Shared Odoo client. Authenticates lazily on the first call, authenticates again when Odoo
+// rejects the session, gives up on calls that take longer than `timeout` and retries calls
+// that failed for transient reasons (unreachable server, timeout, serialization conflicts).
+// Writes are only retried when Odoo provably did not apply them: the request never left, or
+// Odoo rolled the transaction back. A timeout or dropped connection may hide a write that went
+// through, so those are thrown to the caller: the order steps in server.js search for the partner,
+// sale order, invoice or payment an earlier run booked before they write again.
+// `protocol` is "xmlrpc" or "jsonrpc"; an `apiKey` (Odoo 14+) is used in place of the password.
+function createOdooClient({
+    url,
+    db,
+    username,
+    password,
+    apiKey,
+    protocol = 'xmlrpc',
+    timeout = 30000,
+    retries = 2,
+    retryDelay = 500
+}) {
+    if (!TRANSPORTS[protocol]) {
+        throw new OdooError(`Unknown Odoo protocol "${protocol}", use one of ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    const transport = TRANSPORTS[protocol](url);
+    const secret = apiKey || password;
+    let uid = null;
+    let authenticating = null;
+
+    function withTimeout(promise, label) {
+        let timer;
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new OdooTimeoutError(
+                `Odoo ${label} did not answer within ${timeout}ms`, { transient: true })), timeout);
+        });
+        return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+    }
+
+    async function rawCall(service, method, params, label = `${service}.${method}`) {
+        try {
+            return await withTimeout(transport.call(service, method, params), label);
+        } catch (error) {
+            throw toOdooError(error, label);
+        }
+    }
+
+    // Concurrent callers share a single login
+    async function authenticate() {
+        if (!authenticating) {
+            authenticating = rawCall('common', 'authenticate', [db, username, secret, {}])
+                .then(result => {
+                    if (!result) throw new OdooAuthError(`Odoo rejected the credentials of ${username} on ${db}`);
+                    uid = result;
+                    console.log('Connected to Odoo, UID:', uid);
+                    return uid;
+                })
+                .finally(() => { authenticating = null; });
+        }
+        return authenticating;
+    }
+
+    // Run a model method: execute('res.partner', 'search', [[['email', '=', email]]], { limit: 1 }).
+    // The resolvers and services take this as their `call`, or a dry run standing in for it.
+    async function execute(model, method, args = [], kwargs) {
+        const label = `${model}.${method}`;
+
+        for (let attempt = 0; ; attempt++) {
+            let sent = false;
+            try {
+                if (!uid) await authenticate();
+                sent = true;
+                return await rawCall('object', 'execute_kw',
+                    [db, uid, secret, model, method, args, ...(kwargs ? [kwargs] : [])], label);
+            } catch (error) {
+                // A rejected session gets one fresh login before we give up
+                if (error instanceof OdooAuthError && uid && attempt === 0) {
+                    uid = null;
+                    continue;
+                }
+                const safe = !sent || READ_METHODS.includes(method) || error.unsent || error instanceof OdooFaultError;
+                if (!error.transient || !safe || attempt >= retries) throw error;
+
+                const delay = retryDelay * 2 ** attempt;
+                console.warn(`${error.message}, retrying in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Reports cannot be rendered over RPC, so PDFs come from the web client's report route,
+    // with a web session of their own. Web sessions need the password, API keys are refused there.
+    // `context` is handed to the report, e.g. { lang: 'fr_FR' }.
+    async function downloadReport(reportName, ids, context) {
+        const label = `report ${reportName}`;
+        try {
+            const login = await axios.post(`${url}/web/session/authenticate`, {
+                jsonrpc: '2.0',
+                method: 'call',
+                params: { db: db, login: username, password: password || apiKey }
+            }, { timeout: timeout });
+            if (login.data.error || !login.data.result || !login.data.result.uid) {
+                throw new OdooAuthError(`Odoo refused a web session for ${username} on ${db}, needed to render ${label}`);
+            }
+
+            const cookie = (login.headers['set-cookie'] || []).map(header => header.split(';')[0]).join('; ');
+            const response = await axios.get(`${url}/report/pdf/${reportName}/${ids.join(',')}`, {
+                headers: { Cookie: cookie },
+                params: context ? { context: JSON.stringify(context) } : {},
+                responseType: 'arraybuffer',
+                timeout: timeout
+            });
+            if (!String(response.headers['content-type'] || '').includes('application/pdf')) {
+                throw new OdooFaultError(`Odoo ${label} did not return a PDF`);
+            }
+            return Buffer.from(response.data);
+        } catch (error) {
+            throw toOdooError(error, label);
+        }
+    }
+
+    return { authenticate, execute, downloadReport };
+}
+
+module.exports = {
+    createOdooClient,
+    READ_METHODS,
+    many2oneId,
+    many2oneName,
+    escapeLike,
+    OdooError,
+    OdooFaultError,
+    OdooAuthError,
+    OdooTimeoutError,
+    OdooConnectionError
+};
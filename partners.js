@@ -0,0 +1,189 @@
+const { permanentError } = require('./errors');
+const { many2oneId, escapeLike } = require('./odoo');
+
+const MATCH_STRATEGIES = ['email', 'phone', 'name_zip'];
+const UPDATE_POLICIES = ['never', 'fill', 'overwrite'];
+const ANONYMOUS_POLICIES = ['create', 'shared', 'reject'];
+
+// Contact fields the update policy looks at
+const CONTACT_FIELDS = ['phone', 'street', 'street2', 'city', 'zip', 'state_id', 'country_id'];
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// Best-effort E.164: keep the digits, add the default calling code to national numbers
+function normalizePhone(phone, defaultCallingCode) {
+    const raw = String(phone || '').trim();
+    if (!raw) return '';
+
+    let digits = raw.replace(/\D/g, '');
+    if (raw.startsWith('+')) return `+${digits}`;
+    if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+    if (digits.startsWith('0')) digits = digits.slice(1);
+    return defaultCallingCode ? `+${defaultCallingCode}${digits}` : `+${digits}`;
+}
+
+// Finds, updates and creates res.partner records for incoming orders.
+// `addressResolver` turns country/state answers into Odoo IDs.
+function createPartnerService(call, {
+    addressResolver,
+    matchStrategy = ['email'],
+    updatePolicy = 'never',
+    anonymousPolicy = 'create',
+    anonymousPartnerId = null,
+    defaultCallingCode = ''
+}) {
+    const problems = [];
+    matchStrategy.filter(strategy => !MATCH_STRATEGIES.includes(strategy))
+        .forEach(strategy => problems.push(`unknown partner match strategy "${strategy}"`));
+    if (!UPDATE_POLICIES.includes(updatePolicy)) problems.push(`unknown partner update policy "${updatePolicy}"`);
+    if (!ANONYMOUS_POLICIES.includes(anonymousPolicy)) problems.push(`unknown anonymous customer policy "${anonymousPolicy}"`);
+    if (anonymousPolicy === 'shared' && !anonymousPartnerId) problems.push('the "shared" anonymous policy needs a partner ID');
+    if (problems.length) throw new Error(`Invalid partner settings: ${problems.join('; ')}`);
+
+    async function addressValues(address) {
+        const { countryId, stateId } = await addressResolver.resolveAddress(address);
+        return {
+            street: address.addr_line1 || '',
+            street2: address.addr_line2 || '',
+            city: address.city || '',
+            zip: address.postal || '',
+            state_id: stateId,
+            country_id: countryId
+        };
+    }
+
+    // Only top-level partners are matched, child contacts hang off them
+    async function searchPartner(domain) {
+        const ids = await call('res.partner', 'search', [[['parent_id', '=', false], ...domain]], { limit: 1 });
+        return ids.length ? ids[0] : null;
+    }
+
+    const matchers = {
+        email: async (customer) => {
+            const email = normalizeEmail(customer.email);
+            return email ? searchPartner([['email', '=ilike', escapeLike(email)]]) : null;
+        },
+
+        // Odoo stores phone numbers as typed, so narrow down on the last digits and compare normalized
+        phone: async (customer) => {
+            const phone = normalizePhone(customer.phone, defaultCallingCode);
+            if (phone.length < 8) return null;
+
+            const candidates = await call('res.partner', 'search_read',
+                [[['parent_id', '=', false], ['phone', 'like', phone.slice(-4)]]], { fields: ['id', 'phone'] });
+            const match = candidates.find(partner => normalizePhone(partner.phone, defaultCallingCode) === phone);
+            return match ? match.id : null;
+        },
+
+        name_zip: async (customer) => {
+            const zip = customer.billing && customer.billing.postal;
+            if (!customer.name || !zip) return null;
+            return searchPartner([['name', '=ilike', escapeLike(customer.name.trim())], ['zip', '=', String(zip).trim()]]);
+        }
+    };
+
+    async function findPartner(customer) {
+        for (const strategy of matchStrategy) {
+            const partnerId = await matchers[strategy](customer);
+            if (partnerId) {
+                console.log(`Matched partner ${partnerId} by ${strategy}`);
+                return partnerId;
+            }
+        }
+        return null;
+    }
+
+    // Apply the update policy to a matched partner
+    async function updatePartner(partnerId, values) {
+        const fields = updatePolicy === 'never' ? [] : CONTACT_FIELDS;
+        if (!fields.length && !values.lang) return;
+
+        const [current] = await call('res.partner', 'read', [[partnerId]], { fields: [...fields, 'lang'] });
+        const changes = {};
+        fields.forEach(field => {
+            const newValue = values[field];
+            const oldValue = many2oneId(current[field]);
+            if (!newValue || newValue === oldValue) return;
+            if (updatePolicy === 'overwrite' || !oldValue) changes[field] = newValue;
+        });
+        // Every partner has a language, so the one the customer used on the form always wins
+        if (values.lang && values.lang !== current.lang) changes.lang = values.lang;
+
+        if (Object.keys(changes).length) {
+            await call('res.partner', 'write', [[partnerId], changes]);
+            console.log(`Updated partner ${partnerId}:`, Object.keys(changes).join(', '));
+        }
+    }
+
+    // Reuse a child contact of the given type at the same address, or add one
+    async function findOrCreateChildContact(partnerId, type, name, values) {
+        const ids = await call('res.partner', 'search', [[
+            ['parent_id', '=', partnerId],
+            ['type', '=', type],
+            ['street', '=', values.street],
+            ['zip', '=', values.zip],
+            ['city', '=', values.city]
+        ]], { limit: 1 });
+        if (ids.length) return ids[0];
+
+        return call('res.partner', 'create', [{ parent_id: partnerId, type: type, name: name, ...values }]);
+    }
+
+    function isSameAddress(a, b) {
+        return ['addr_line1', 'addr_line2', 'city', 'state', 'postal', 'country']
+            .every(field => String(a[field] || '').trim().toLowerCase() === String(b[field] || '').trim().toLowerCase());
+    }
+
+    // Returns { partnerId, invoiceAddressId, shippingAddressId } for a mapped customer:
+    // { name, email, phone, billing, shipping, lang, reference }
+    // A new partner is stamped with the reference, so a rerun of the same order finds it again
+    // even when no match strategy would.
+    async function findOrCreatePartner(customer) {
+        const billing = customer.billing || {};
+        const values = {
+            phone: customer.phone || '',
+            ...(await addressValues(billing)),
+            ...(customer.lang ? { lang: customer.lang } : {})
+        };
+
+        let partnerId = (customer.reference && await searchPartner([['ref', '=', customer.reference]])) ||
+            await findPartner(customer);
+        if (partnerId) {
+            await updatePartner(partnerId, values);
+        } else if (!normalizeEmail(customer.email) && anonymousPolicy !== 'create') {
+            if (anonymousPolicy === 'reject') {
+                throw permanentError('The submission has no email address and anonymous customers are rejected');
+            }
+            partnerId = anonymousPartnerId;
+            console.log('Using the shared anonymous customer:', partnerId);
+        } else {
+            partnerId = await call('res.partner', 'create', [{
+                name: customer.name,
+                email: normalizeEmail(customer.email) || false,
+                ...(customer.reference ? { ref: customer.reference } : {}),
+                ...values
+            }]);
+            console.log('Created partner with ID:', partnerId);
+        }
+
+        // A distinct shipping address gets its own invoice and delivery contacts
+        const shipping = customer.shipping;
+        if (!shipping || isSameAddress(billing, shipping)) {
+            return { partnerId, invoiceAddressId: partnerId, shippingAddressId: partnerId };
+        }
+
+        const invoiceAddressId = await findOrCreateChildContact(partnerId, 'invoice', customer.name, values);
+        const shippingAddressId = await findOrCreateChildContact(partnerId, 'delivery', customer.name, {
+            phone: customer.phone || '',
+            ...(await addressValues(shipping)),
+            ...(customer.lang ? { lang: customer.lang } : {})
+        });
+        return { partnerId, invoiceAddressId, shippingAddressId };
+    }
+
+    return { findOrCreatePartner };
+}
+
+module.exports = { createPartnerService, normalizeEmail, normalizePhone };
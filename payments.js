@@ -0,0 +1,42 @@
+// Jotform keeps the gateway's answer as a JSON string in the payment question
+function parsePaymentArray(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Read the payment a customer made through the form: { gateway, transactionId, amount, currency },
+// or null when the submission carries no transaction (unpaid, or a form without a payment field)
+function extractPaymentDetails(rawRequest, productsAnswer) {
+    const paymentArray = parsePaymentArray(productsAnswer && productsAnswer.paymentArray);
+
+    const transactionId = paymentArray.transactionid || paymentArray.transactionId ||
+        rawRequest.transactionid || rawRequest.transaction_id || null;
+    if (!transactionId) return null;
+
+    const products = (productsAnswer && productsAnswer.products) || [];
+    const amount = Number(paymentArray.total !== undefined ? paymentArray.total : rawRequest.payment_total_checksum);
+
+    return {
+        gateway: String(paymentArray.gateway || paymentArray.paymentType || rawRequest.payment_gateway || 'unknown').toLowerCase(),
+        transactionId: String(transactionId),
+        amount: Number.isFinite(amount) ? amount : null,
+        currency: paymentArray.currency || (products[0] && products[0].currency) || null
+    };
+}
+
+// Parse "stripe:7,paypal:8" into { stripe: 7, paypal: 8 }
+function parseJournalMap(value) {
+    const journals = {};
+    String(value || '').split(',').forEach(entry => {
+        const [gateway, journalId] = entry.split(':').map(part => part.trim());
+        if (gateway && Number(journalId)) journals[gateway.toLowerCase()] = Number(journalId);
+    });
+    return journals;
+}
+
+module.exports = { extractPaymentDetails, parseJournalMap };
@@ -0,0 +1,72 @@
+const fs = require('fs');
+
+const DISCOUNT_MODES = ['line', 'percentage'];
+const CURRENCY_POLICIES = ['reject', 'hold'];
+
+// Load how discounts, shipping and taxes are booked on sale orders:
+//
+//   {
+//       "discount": { "mode": "line", "productCode": "DISCOUNT" }, // or "percentage" on every product line,
+//                                                                  // the product then books the rounding
+//       "shipping": { "productCode": "SHIPPING" },
+//       "taxes": {
+//           "field": "tax_id",              // "tax_ids" on Odoo 18
+//           "default": [1],                 // account.tax IDs for lines without their own entry
+//           "products": { "1001": [2] },    // per Jotform product ID
+//           "shipping": [1],
+//           "fiscalPositionId": 3           // set on the sale order
+//       },
+//       "currencies": {
+//           "pricelists": { "EUR": 3 },     // product.pricelist ID per currency code
+//           "unsupported": "hold"           // or "reject" mixed currencies and currencies without a pricelist
+//       }
+//   }
+//
+// A missing file books discounts as percentages without a product for their rounding, no shipping
+// product, leaves taxes to Odoo, and rejects orders in currencies Odoo has no pricelist for.
+function loadPricing(filePath) {
+    const config = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    const pricing = {
+        discount: { mode: 'percentage', ...(config.discount || {}) },
+        shipping: config.shipping || null,
+        taxes: { field: 'tax_id', products: {}, ...(config.taxes || {}) },
+        currencies: { pricelists: {}, unsupported: 'reject', ...(config.currencies || {}) }
+    };
+    const problems = [];
+
+    if (!DISCOUNT_MODES.includes(pricing.discount.mode)) {
+        problems.push(`discount.mode must be one of ${DISCOUNT_MODES.join(', ')}`);
+    }
+    if (pricing.discount.mode === 'line' && !pricing.discount.productCode && !pricing.discount.productId) {
+        problems.push('discount lines need a "productCode" or "productId"');
+    }
+    if (pricing.shipping && !pricing.shipping.productCode && !pricing.shipping.productId) {
+        problems.push('shipping needs a "productCode" or "productId"');
+    }
+
+    const taxLists = { default: pricing.taxes.default, shipping: pricing.taxes.shipping };
+    Object.entries(pricing.taxes.products).forEach(([jotformId, taxIds]) => { taxLists[`products.${jotformId}`] = taxIds; });
+    Object.entries(taxLists)
+        .filter(([, taxIds]) => taxIds !== undefined && !(Array.isArray(taxIds) && taxIds.every(Number.isInteger)))
+        .forEach(([key]) => problems.push(`taxes.${key} must be a list of tax IDs`));
+
+    if (!CURRENCY_POLICIES.includes(pricing.currencies.unsupported)) {
+        problems.push(`currencies.unsupported must be one of ${CURRENCY_POLICIES.join(', ')}`);
+    }
+    Object.entries(pricing.currencies.pricelists)
+        .filter(([, pricelistId]) => !Number.isInteger(pricelistId))
+        .forEach(([code]) => problems.push(`currencies.pricelists.${code} must be a pricelist ID`));
+
+    if (problems.length) {
+        throw new Error(`Invalid pricing config in ${filePath}: ${problems.join('; ')}`);
+    }
+
+    return pricing;
+}
+
+// The tax field value for a line, or nothing to let Odoo pick the product's default taxes
+function lineTaxes(pricing, taxIds) {
+    return Array.isArray(taxIds) ? { [pricing.taxes.field]: [[6, 0, taxIds]] } : {};
+}
+
+module.exports = { loadPricing, lineTaxes };
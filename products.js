@@ -0,0 +1,50 @@
+// Option labels that describe the line itself rather than the product variant
+const LINE_OPTIONS = ['Amount', 'Quantity'];
+
+// Turn Jotform's option labels ("Color: Green", "Shoe Size: 11.5") into { Color: 'Green', 'Shoe Size': '11.5' }
+const parseProductOptions = (productOptions) => {
+    const options = {};
+
+    (productOptions || []).forEach((label) => {
+        const separator = String(label).indexOf(':');
+        if (separator === -1) return;
+
+        const name = label.slice(0, separator).trim();
+        const value = label.slice(separator + 1).trim();
+        if (name) options[name] = value;
+    });
+
+    return options;
+};
+
+// Map the answer of a Jotform product list question to one entry per ordered product.
+// The product IDs come from the numbered entries ("0": { id: "1001" }, ...) in product order,
+// the options from each product's own labels, so neither ID ranges nor ordering matter.
+const extractProductDetails = (productsAnswer) => {
+    // Ensure 'products' is an array in the structure
+    if (!productsAnswer || !Array.isArray(productsAnswer.products) || productsAnswer.products.length === 0) {
+        throw new Error('The products array inside the products question is empty or not defined.');
+    }
+
+    return productsAnswer.products.map((product, index) => {
+        const productId = productsAnswer[String(index)] ? String(productsAnswer[String(index)].id) : null;
+        const allOptions = parseProductOptions(product.productOptions);
+
+        const options = {};
+        Object.keys(allOptions)
+            .filter(name => !LINE_OPTIONS.includes(name))
+            .forEach(name => { options[name] = allOptions[name]; });
+
+        return {
+            product_id: productId,
+            product_name: product.productName,
+            unit_price: product.unitPrice,
+            currency: product.currency,
+            quantity: product.quantity || Number(allOptions.Quantity) || 1,
+            subTotal: product.subTotal,
+            options: options
+        };
+    });
+};
+
+module.exports = { parseProductOptions, extractProductDetails };
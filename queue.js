@@ -0,0 +1,149 @@
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./store');
+
+// Durable job queue with a single in-process worker.
+// Jobs are persisted before they run, retried with exponential backoff and moved
+// to a dead-letter store once they have used up their attempts.
+function createQueue({
+    jobsFile,
+    deadLetterFile,
+    handler,
+    maxAttempts = 5,
+    retryDelay = 5000,
+    pollInterval = 1000,
+    onComplete = () => {},
+    onRetry = () => {},
+    onDeadLetter = () => {}
+}) {
+    const jobs = createStore(jobsFile);
+    const deadLetters = createStore(deadLetterFile);
+    let timer = null;
+    let working = false;
+
+    // Jobs interrupted by a crash or restart are picked up again
+    jobs.list()
+        .filter(job => job.status === 'running')
+        .forEach(job => jobs.update(job.id, { status: 'pending' }));
+
+    function nextDueJob() {
+        const now = Date.now();
+        return jobs.list()
+            .filter(job => job.status === 'pending' && job.nextRunAt <= now)
+            .sort((a, b) => a.nextRunAt - b.nextRunAt)[0] || null;
+    }
+
+    async function runJob(job) {
+        const attempts = job.attempts + 1;
+        const runningJob = jobs.update(job.id, { status: 'running', attempts: attempts });
+
+        let result;
+        try {
+            result = await handler(runningJob);
+        } catch (error) {
+            // Errors flagged as not retryable (e.g. invalid data) skip straight to the dead-letter store
+            if (attempts >= maxAttempts || error.retryable === false) {
+                jobs.remove(job.id);
+                const deadJob = deadLetters.set(job.id, {
+                    ...runningJob,
+                    status: 'dead',
+                    lastError: error.message,
+                    failedAt: new Date().toISOString()
+                });
+                console.error(`Job ${job.id} failed after ${attempts} attempt(s), moved to dead letters:`, error.message);
+                onDeadLetter(deadJob, error);
+                return;
+            }
+
+            const delay = retryDelay * 2 ** (attempts - 1);
+            const retryJob = jobs.update(job.id, {
+                status: 'pending',
+                lastError: error.message,
+                nextRunAt: Date.now() + delay
+            });
+            console.warn(`Job ${job.id} failed (attempt ${attempts}/${maxAttempts}), retrying in ${delay}ms:`, error.message);
+            onRetry(retryJob, error);
+            return;
+        }
+
+        jobs.remove(job.id);
+        onComplete(runningJob, result);
+    }
+
+    async function work() {
+        if (working) return;
+        working = true;
+        try {
+            let job;
+            while ((job = nextDueJob())) {
+                await runJob(job);
+            }
+        } catch (error) {
+            console.error('Queue worker error:', error.message);
+        } finally {
+            working = false;
+        }
+    }
+
+    function enqueue(payload) {
+        const id = uuidv4();
+        const job = jobs.set(id, {
+            id: id,
+            payload: payload,
+            status: 'pending',
+            attempts: 0,
+            nextRunAt: Date.now(),
+            createdAt: new Date().toISOString()
+        });
+        setImmediate(work);
+        return job;
+    }
+
+    return {
+        enqueue,
+
+        start() {
+            if (!timer) timer = setInterval(work, pollInterval);
+            work();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+
+        getJob(id) {
+            return jobs.get(id);
+        },
+
+        listJobs() {
+            return jobs.list();
+        },
+
+        listDeadLetters() {
+            return deadLetters.list();
+        },
+
+        getDeadLetter(id) {
+            return deadLetters.get(id);
+        },
+
+        // Put a dead job back on the queue with a fresh set of attempts
+        requeue(id) {
+            const deadJob = deadLetters.get(id);
+            if (!deadJob) return null;
+
+            deadLetters.remove(id);
+            const job = jobs.set(id, {
+                ...deadJob,
+                status: 'pending',
+                attempts: 0,
+                nextRunAt: Date.now(),
+                requeuedAt: new Date().toISOString()
+            });
+            setImmediate(work);
+            return job;
+        }
+    };
+}
+
+module.exports = { createQueue };
@@ -1,7 +1,38 @@
 require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
-const xmlrpc = require('xmlrpc');
+const path = require('path');
+const { createStore } = require('./store');
+const { createQueue } = require('./queue');
+const { loadFormMappings, getFormId, mapSubmission } = require('./mapping');
+const { extractProductDetails } = require('./products');
+const { createVariantResolver } = require('./variants');
+const { loadCatalog, findUnmappedProducts } = require('./catalog');
+const { createAddressResolver } = require('./addresses');
+const { createPartnerService } = require('./partners');
+const { extractPaymentDetails, parseJournalMap } = require('./payments');
+const {
+    getChargedTotal,
+    getDiscountAmount,
+    getShippingFee,
+    getCouponCode,
+    computeLinesTotal,
+    computeOrderTotal,
+    compareTotals,
+    roundAmount
+} = require('./totals');
+const { loadPricing, lineTaxes } = require('./pricing');
+const { createFulfillmentClient, buildFulfillmentOrder } = require('./fulfillment');
+const { createWebhookAuth, createAdminAuth, createJotformVerifier } = require('./auth');
+const { createOdooClient } = require('./odoo');
+const { createCurrencyResolver } = require('./currencies');
+const { createInvoiceMailer } = require('./emails');
+const { createLanguageResolver } = require('./languages');
+const { createNotifier, EVENTS: NOTIFY_ALL_EVENTS } = require('./notifications');
+const { createEventDispatcher } = require('./events');
+const { createDryRun, isPlanned } = require('./dryrun');
+const { validateSubmission } = require('./validation');
+const { permanentError } = require('./errors');
 
 const app = express();
 const upload = multer();
@@ -11,469 +42,1282 @@ const {
     ODOO_DB,
     ODOO_USERNAME,
     ODOO_PASSWORD,
+    ODOO_API_KEY,
+    ODOO_PROTOCOL,
+    ODOO_TIMEOUT_MS,
+    ODOO_RETRIES,
     FULFILLMENT_API_URL,
     FULFILLMENT_API_KEY,
+    FULFILLMENT_TIMEOUT_MS,
+    FULFILLMENT_RETRIES,
+    FULFILLMENT_REFERENCE_FIELD,
+    DATA_DIR,
+    QUEUE_MAX_ATTEMPTS,
+    QUEUE_RETRY_DELAY_MS,
+    COMPENSATION_MODE,
+    FORM_MAPPING_FILE,
+    ODOO_CREATE_ATTRIBUTE_VALUES,
+    CATALOG_FILE,
+    PARTNER_MATCH,
+    PARTNER_UPDATE,
+    PARTNER_ANONYMOUS,
+    PARTNER_ANONYMOUS_ID,
+    DEFAULT_PHONE_COUNTRY_CODE,
+    INVOICE_MODE,
+    INVOICE_METHOD,
+    INVOICE_DOWN_PAYMENT,
+    INVOICE_REPORT,
+    PAYMENT_JOURNAL_ID,
+    PAYMENT_JOURNALS,
+    TOTAL_TOLERANCE,
+    PRICING_FILE,
+    WEBHOOK_TOKEN,
+    WEBHOOK_ALLOWED_IPS,
+    TRUST_PROXY,
+    JOTFORM_VERIFY_SUBMISSIONS,
+    JOTFORM_API_URL,
+    JOTFORM_API_KEY,
+    ADMIN_TOKEN,
+    DRY_RUN,
+    SMTP_HOST,
+    SMTP_PORT,
+    SMTP_SECURE,
+    SMTP_USER,
+    SMTP_PASSWORD,
+    NOTIFY_EMAIL_FROM,
+    NOTIFY_EMAIL_TO,
+    NOTIFY_WEBHOOK_URL,
+    NOTIFY_WEBHOOK_TOKEN,
+    NOTIFY_EVENTS,
+    EVENT_MAX_ATTEMPTS,
+    EVENT_RETRY_DELAY_MS,
+    EVENT_ALLOWED_HOSTS,
+    EVENT_RETENTION_DAYS,
+    LEDGER_RETENTION_DAYS,
     PORT
 } = process.env;
 
-// Odoo XML-RPC clients
-const common = xmlrpc.createClient({ url: `${ODOO_URL}/xmlrpc/2/common` });
-const object = xmlrpc.createClient({ url: `${ODOO_URL}/xmlrpc/2/object` });
+const dataDir = DATA_DIR || 'data';
 
-// Authenticate at startup
-let uid = null;
-common.methodCall('authenticate', [ODOO_DB, ODOO_USERNAME, ODOO_PASSWORD, {}], (err, res) => {
-    if (err || !res) {
-        console.error('Odoo auth failed:', err || 'Invalid credentials');
-        process.exit(1);
-    }
-    uid = res;
-    console.log('Connected to Odoo, UID:', uid);
+// Processed submissions, keyed by Jotform submission ID, so repeated deliveries are not booked twice.
+// This is the ledger behind /submissions. A JSON file is enough for it: one process writes it, a
+// few hundred orders a day make a file of a few MB, and store.js replaces it atomically on every
+// change. The raw payloads, which hold the customer's personal data, are only kept while they can
+// still be needed (see pruneLedgerPayloads), so the file does not grow with every order forever.
+const submissions = createStore(path.join(dataDir, 'submissions.json'));
+
+// Results of completed pipeline steps, so a retried order resumes where it stopped
+const checkpoints = createStore(path.join(dataDir, 'checkpoints.json'));
+
+// Jotform products seen in orders without a catalog entry, keyed by Jotform product ID
+const unmappedProducts = createStore(path.join(dataDir, 'unmapped-products.json'));
+
+// Which Jotform question holds which order field, per form ID
+let formMappings;
+try {
+    formMappings = loadFormMappings(FORM_MAPPING_FILE || path.join(__dirname, 'config', 'forms.json'));
+} catch (error) {
+    console.error('Form mapping error:', error.message);
+    process.exit(1);
+}
+
+// Jotform product ID -> Odoo product mapping
+let catalog;
+try {
+    catalog = loadCatalog(CATALOG_FILE || path.join(__dirname, 'config', 'catalog.json'));
+} catch (error) {
+    console.error('Catalog error:', error.message);
+    process.exit(1);
+}
+
+// How discounts, shipping fees and taxes are booked
+let pricing;
+try {
+    pricing = loadPricing(PRICING_FILE || path.join(__dirname, 'config', 'pricing.json'));
+} catch (error) {
+    console.error('Pricing config error:', error.message);
+    process.exit(1);
+}
+if (pricing.discount.mode === 'percentage' && !pricing.discount.productCode && !pricing.discount.productId) {
+    console.warn('No discount product is configured: orders whose discount is no exact two-decimal percentage of the products will fail');
+}
+
+// Shared Odoo client; it logs in on the first call and again whenever the session is rejected
+let odoo;
+try {
+    odoo = createOdooClient({
+        url: ODOO_URL,
+        db: ODOO_DB,
+        username: ODOO_USERNAME,
+        password: ODOO_PASSWORD,
+        apiKey: ODOO_API_KEY,
+        protocol: ODOO_PROTOCOL || 'xmlrpc',
+        timeout: Number(ODOO_TIMEOUT_MS) || 30000,
+        retries: ODOO_RETRIES !== undefined ? Number(ODOO_RETRIES) : 2
+    });
+} catch (error) {
+    console.error('Odoo settings error:', error.message);
+    process.exit(1);
+}
+
+// Country and state names from the form are matched against Odoo's lists
+const addressResolver = createAddressResolver(odoo.execute);
+
+// Order currencies are booked through the pricelist configured (or found in Odoo) for them
+const currencyResolver = createCurrencyResolver(odoo.execute, { pricelists: pricing.currencies.pricelists });
+
+// Form locales and language answers are matched against Odoo's active languages
+const languageResolver = createLanguageResolver(odoo.execute);
+
+// Partner matching, update and anonymous-customer rules
+const partnerSettings = {
+    addressResolver: addressResolver,
+    matchStrategy: (PARTNER_MATCH || 'email').split(',').map(strategy => strategy.trim()).filter(Boolean),
+    updatePolicy: PARTNER_UPDATE || 'never',
+    anonymousPolicy: PARTNER_ANONYMOUS || 'create',
+    anonymousPartnerId: Number(PARTNER_ANONYMOUS_ID) || null,
+    defaultCallingCode: DEFAULT_PHONE_COUNTRY_CODE || ''
+};
+
+// Payment journal per Jotform gateway, e.g. PAYMENT_JOURNALS="stripe:7,paypal:8"
+const paymentJournals = parseJournalMap(PAYMENT_JOURNALS);
+
+// Invoice emails, with the PDF of INVOICE_REPORT attached
+// The report route needs a web session, which Odoo only opens with the password
+if (ODOO_API_KEY && !ODOO_PASSWORD) {
+    console.warn('ODOO_PASSWORD is not set: invoice PDFs cannot be rendered with only an API key, ' +
+        'invoice emails go out without them unless their Odoo template attaches the report itself');
+}
+const invoiceMailer = createInvoiceMailer(odoo.execute, {
+    downloadReport: odoo.downloadReport,
+    report: INVOICE_REPORT || 'account.report_invoice'
 });
 
-// Helper function to create or find a customer
-async function createOrFindCustomer(customerName, customerEmail, contactNumber, billing) {
-    return new Promise((resolve, reject) => {
-        object.methodCall('execute_kw', [
-            ODOO_DB, uid, ODOO_PASSWORD,
-            'res.partner', 'search',
-            [[['email', '=', customerEmail]]]
-        ], (err, ids) => {
-            if (err) return reject(err);
-            if (ids.length) return resolve(ids[0]);
-
-            // Customer doesn't exist, create a new one
-            object.methodCall('execute_kw', [
-                ODOO_DB, uid, ODOO_PASSWORD,
-                'res.partner', 'create',
-                [{
-                    name: customerName,
-                    email: customerEmail,
-                    phone: contactNumber,
-                    street: billing.addr_line1 || '',
-                    street2: billing.addr_line2 || '',
-                    city: billing.city || '',
-                    zip: billing.postal || '',
-                    country_id: null // You may need to map country names to IDs
-                }]
-            ], (err, newId) => {
-                if (err) return reject(err);
-                resolve(newId);
-            });
-        });
+// Internal notifications about new, held and failed orders, by email and/or webhook
+let notifier;
+try {
+    notifier = createNotifier({
+        email: SMTP_HOST && NOTIFY_EMAIL_TO ? {
+            smtp: {
+                host: SMTP_HOST,
+                port: Number(SMTP_PORT) || 587,
+                secure: SMTP_SECURE === 'true',
+                ...(SMTP_USER ? { auth: { user: SMTP_USER, pass: SMTP_PASSWORD } } : {})
+            },
+            from: NOTIFY_EMAIL_FROM || SMTP_USER || 'jotform-odoo@localhost',
+            to: NOTIFY_EMAIL_TO
+        } : null,
+        webhook: NOTIFY_WEBHOOK_URL ? { url: NOTIFY_WEBHOOK_URL, token: NOTIFY_WEBHOOK_TOKEN } : null,
+        events: NOTIFY_EVENTS ? NOTIFY_EVENTS.split(',').map(event => event.trim()).filter(Boolean) : NOTIFY_ALL_EVENTS
     });
+} catch (error) {
+    console.error('Notification settings error:', error.message);
+    process.exit(1);
 }
 
-// Helper function to create or find a product
-async function findOrCreateProduct(productName, price) {
-    return new Promise((resolve, reject) => {
-        object.methodCall('execute_kw', [
-            ODOO_DB, uid, ODOO_PASSWORD,
-            'product.product', 'search_read',
-            [[['name', '=', productName]]],
-            { fields: ['id'], limit: 1 }
-        ], (err, result) => {
-            if (err) return reject(err);
-            if (result.length > 0) {
-                return resolve(result[0].id);
+// Signed events for downstream systems, sent to the endpoints subscribed under /admin/subscriptions
+const eventDispatcher = createEventDispatcher({
+    subscriptionsFile: path.join(dataDir, 'subscriptions.json'),
+    eventsFile: path.join(dataDir, 'events.json'),
+    jobsFile: path.join(dataDir, 'event-jobs.json'),
+    deadLetterFile: path.join(dataDir, 'event-dead-letters.json'),
+    maxAttempts: Number(EVENT_MAX_ATTEMPTS) || 8,
+    retryDelay: Number(EVENT_RETRY_DELAY_MS) || 10000,
+    allowedHosts: (EVENT_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+    retentionDays: EVENT_RETENTION_DAYS !== undefined ? Number(EVENT_RETENTION_DAYS) : 30
+});
+
+// Orders go to the fulfillment service once confirmed, when one is configured
+const fulfillmentClient = FULFILLMENT_API_URL ? createFulfillmentClient({
+    url: FULFILLMENT_API_URL,
+    apiKey: FULFILLMENT_API_KEY,
+    timeout: Number(FULFILLMENT_TIMEOUT_MS) || 10000,
+    retries: FULFILLMENT_RETRIES !== undefined ? Number(FULFILLMENT_RETRIES) : 3
+}) : null;
+
+// Partner and order line lookups on top of one way to call Odoo: the client itself, or a dry run
+function createOrderBuilder(call) {
+    const partnerService = createPartnerService(call, partnerSettings);
+
+    // Product options are resolved to variants of one template instead of one product per combination
+    const variantResolver = createVariantResolver(call, {
+        allowCreate: ODOO_CREATE_ATTRIBUTE_VALUES === 'true'
+    });
+
+    // Helper function to create or find a customer, with invoice/delivery contacts when needed
+    async function createOrFindCustomer(customer) {
+        return partnerService.findOrCreatePartner(customer);
+    }
+
+    // Helper function to find the variant of a product matched by name, creating its template when needed
+    async function findOrCreateProduct(product) {
+        const result = await call('product.template', 'search_read',
+            [[['name', '=', product.product_name]]],
+            { fields: ['id'], limit: 1 });
+        if (result.length > 0) {
+            return variantResolver.resolveVariant(result[0].id, product.product_name, product.options);
+        }
+
+        // Template not found, create a new one
+        return variantResolver.createTemplateVariant({
+            name: product.product_name,
+            list_price: product.unit_price,
+            type: 'consu'
+        }, product.product_name, product.options);
+    }
+
+    // Helper function to find the Odoo product for a catalog entry
+    async function findCatalogProduct(product, entry) {
+        if (entry.productId) {
+            const ids = await call('product.product', 'search', [[['id', '=', entry.productId]]], { limit: 1 });
+            if (ids.length) return ids[0];
+        } else {
+            // The code usually sits on the template, whose variants are picked by the options
+            const templateIds = await call('product.template', 'search', [[['default_code', '=', entry.defaultCode]]], { limit: 1 });
+            if (templateIds.length) {
+                return variantResolver.resolveVariant(templateIds[0], product.product_name, product.options);
             }
 
-            // Product not found, create a new one
-            object.methodCall('execute_kw', [
-                ODOO_DB, uid, ODOO_PASSWORD,
-                'product.product', 'create',
-                [{
-                    name: productName,
-                    list_price: price,
-                    type: 'consu'
-                }]
-            ], (err, newId) => {
-                if (err) return reject(err);
-                resolve(newId);
-            });
+            const variantIds = await call('product.product', 'search', [[['default_code', '=', entry.defaultCode]]], { limit: 1 });
+            if (variantIds.length) return variantIds[0];
+        }
+
+        throw permanentError(`Catalog entry for Jotform product ${product.product_id} (${JSON.stringify(entry)}) does not exist in Odoo`);
+    }
+
+    // Helper function to find the product used for discount or shipping lines
+    async function findAdjustmentProduct(label, entry) {
+        const domain = entry.productId ? [['id', '=', entry.productId]] : [['default_code', '=', entry.productCode]];
+        const ids = await call('product.product', 'search', [domain], { limit: 1 });
+        if (!ids.length) {
+            throw permanentError(`The ${label} product (${entry.productCode || entry.productId}) does not exist in Odoo`);
+        }
+        return ids[0];
+    }
+
+    // Helper function to turn the mapped products, discount and shipping fee into Odoo order lines
+    async function buildOrderLines(mappedResult, rawRequest, productsAnswer) {
+        const orderLines = [];
+        for (const product of mappedResult) {
+            // Create a formatted product name that includes the options
+            const productOptions = Object.entries(product.options)
+                .map(([name, value]) => `${name}: ${value}`)
+                .join(', ');
+            const formattedProductName = productOptions ? 
+                `${product.product_name} (${productOptions})` : 
+                product.product_name;
+
+            // Use the catalog mapping when there is one, otherwise match the template by name
+            const catalogEntry = product.product_id && catalog.products[product.product_id];
+            let productId;
+            if (catalogEntry) {
+                productId = await findCatalogProduct(product, catalogEntry);
+            } else {
+                productId = await findOrCreateProduct(product);
+            }
+
+            // Without price_unit Odoo prices the line from the order's pricelist
+            orderLines.push([
+                0, 0, {
+                    product_id: productId,
+                    name: formattedProductName,
+                    product_uom_qty: product.quantity,
+                    ...(catalog.priceSource === 'form' ? { price_unit: product.unit_price } : {}),
+                    ...lineTaxes(pricing, pricing.taxes.products[product.product_id] || pricing.taxes.default)
+                }
+            ]);
+        }
+
+        // Discount or coupon: a negative line, or the same percentage off every product line
+        const discount = getDiscountAmount(rawRequest);
+        const couponCode = getCouponCode(rawRequest, productsAnswer);
+        const linesTotal = computeLinesTotal(mappedResult);
+        if (discount > 0 && pricing.discount.mode === 'line') {
+            orderLines.push([
+                0, 0, {
+                    product_id: await findAdjustmentProduct('discount', pricing.discount),
+                    name: couponCode ? `Discount (coupon ${couponCode})` : 'Discount',
+                    product_uom_qty: 1,
+                    price_unit: -discount,
+                    ...lineTaxes(pricing, pricing.taxes.default)
+                }
+            ]);
+        } else if (discount > 0 && linesTotal > 0) {
+            // Odoo keeps two decimals of a line discount; what that misses is booked on a line of its own
+            const percentage = Math.round((discount / linesTotal) * 100 * 100) / 100;
+            orderLines.forEach(line => { line[2].discount = percentage; });
+
+            const bookedDiscount = mappedResult.reduce((sum, product) => {
+                const subTotal = Number(product.subTotal) || 0;
+                return sum + subTotal - roundAmount(subTotal * (1 - percentage / 100));
+            }, 0);
+            const rounding = roundAmount(discount - bookedDiscount);
+            if (rounding !== 0) {
+                if (!pricing.discount.productCode && !pricing.discount.productId) {
+                    throw permanentError(`A ${percentage}% discount books ${roundAmount(bookedDiscount)} instead of ${discount}, ` +
+                        'set a discount product in the pricing config to book the difference');
+                }
+                orderLines.push([
+                    0, 0, {
+                        product_id: await findAdjustmentProduct('discount', pricing.discount),
+                        name: 'Discount rounding',
+                        product_uom_qty: 1,
+                        price_unit: -rounding,
+                        ...lineTaxes(pricing, pricing.taxes.default)
+                    }
+                ]);
+            }
+        }
+
+        // Shipping fee as a line with the delivery product
+        const shippingFee = getShippingFee(rawRequest);
+        if (shippingFee > 0) {
+            if (!pricing.shipping) {
+                throw permanentError(`The order has a shipping fee of ${shippingFee} but no shipping product is configured`);
+            }
+            orderLines.push([
+                0, 0, {
+                    product_id: await findAdjustmentProduct('shipping', pricing.shipping),
+                    name: 'Shipping',
+                    product_uom_qty: 1,
+                    price_unit: shippingFee,
+                    ...lineTaxes(pricing, pricing.taxes.shipping || pricing.taxes.default)
+                }
+            ]);
+        }
+
+        return orderLines;
+    }
+
+    return { createOrFindCustomer, buildOrderLines };
+}
+
+// Order lookups for real orders; building it up front also checks the partner settings
+let orderBuilder;
+try {
+    orderBuilder = createOrderBuilder(odoo.execute);
+} catch (error) {
+    console.error('Partner settings error:', error.message);
+    process.exit(1);
+}
+
+// Remember products that had to be matched by name so the catalog can be completed
+function recordUnmappedProducts(products) {
+    products.forEach(product => {
+        const key = product.product_id || product.product_name;
+        const seen = unmappedProducts.get(key);
+        unmappedProducts.set(key, {
+            jotformProductId: product.product_id,
+            productName: product.product_name,
+            timesSeen: seen ? seen.timesSeen + 1 : 1,
+            firstSeenAt: seen ? seen.firstSeenAt : new Date().toISOString(),
+            lastSeenAt: new Date().toISOString()
         });
     });
 }
 
+// New partners and sale orders carry the submission they were booked for, so a rerun finds them instead of booking again
+function submissionReference(submissionId) {
+    return `Jotform ${submissionId}`;
+}
+
+// Helper function to build the extra sale order values taken from the submission and pricing config
+function saleOrderValues(submission, orderCurrency, submissionId) {
+    return {
+        origin: submissionReference(submissionId),
+        ...(submission.notes ? { note: submission.notes } : {}),
+        ...(pricing.taxes.fiscalPositionId ? { fiscal_position_id: pricing.taxes.fiscalPositionId } : {}),
+        ...(orderCurrency.pricelistId ? { pricelist_id: orderCurrency.pricelistId } : {})
+    };
+}
+
 // Helper function to create a sale order
-async function createSaleOrder(customerId, orderLines) {
-    return new Promise((resolve, reject) => {
-        object.methodCall('execute_kw', [
-            ODOO_DB, uid, ODOO_PASSWORD,
-            'sale.order', 'create',
-            [{
-                partner_id: customerId,
-                order_line: orderLines
-            }]
-        ], (err, id) => {
-            if (err) return reject(err);
-            resolve(id);
-        });
-    });
+async function createSaleOrder(customer, orderLines, orderValues, call = odoo.execute) {
+    return call('sale.order', 'create', [{
+        partner_id: customer.partnerId,
+        partner_invoice_id: customer.invoiceAddressId,
+        partner_shipping_id: customer.shippingAddressId,
+        order_line: orderLines,
+        ...orderValues
+    }]);
 }
 
-// Helper function to confirm a sale order
+// The steps below look for what an earlier run of the same order already did before writing.
+// A timed out or dropped Odoo call may still have been applied, and a requeued order runs the
+// step again: without these checks it would book a second order, invoice or payment.
+
+// Helper function to find the live sale order an earlier run booked for the submission
+async function findBookedSaleOrder(submissionId) {
+    const ids = await odoo.execute('sale.order', 'search',
+        [[['origin', '=', submissionReference(submissionId)], ['state', '!=', 'cancel']]], { order: 'id desc', limit: 1 });
+    if (ids.length) console.log(`Sale order ${ids[0]} was already booked for submission ${submissionId}`);
+    return ids.length ? ids[0] : null;
+}
+
+// Helper function to confirm a sale order, unless it already is
 async function confirmSaleOrder(saleOrderId) {
-    return new Promise((resolve, reject) => {
-        object.methodCall('execute_kw', [
-            ODOO_DB, uid, ODOO_PASSWORD,
-            'sale.order', 'action_confirm',
-            [saleOrderId]
-        ], (err, result) => {
-            if (err) return reject(err);
-            resolve(result);
-        });
+    const [saleOrder] = await odoo.execute('sale.order', 'read', [[saleOrderId]], { fields: ['state'] });
+    if (['sale', 'done'].includes(saleOrder.state)) return true;
+    return odoo.execute('sale.order', 'action_confirm', [saleOrderId]);
+}
+
+// Helper function to note the fulfillment reference on the sale order
+async function recordFulfillmentReference(saleOrderId, reference) {
+    if (reference && FULFILLMENT_REFERENCE_FIELD) {
+        await odoo.execute('sale.order', 'write', [[saleOrderId], { [FULFILLMENT_REFERENCE_FIELD]: String(reference) }]);
+    }
+    await odoo.execute('sale.order', 'message_post', [[saleOrderId]], {
+        body: reference ? `Sent to fulfillment, reference ${reference}` : 'Sent to fulfillment'
     });
 }
 
-// Helper function to create invoice from sale order (Simple approach)
+// Helper function to find a live customer invoice of the sale order, from either invoicing mode
+async function findSaleOrderInvoice(saleOrderId) {
+    const [saleOrder] = await odoo.execute('sale.order', 'read', [[saleOrderId]], { fields: ['name', 'invoice_ids'] });
+    const ids = await odoo.execute('account.move', 'search', [[
+        '|', ['id', 'in', saleOrder.invoice_ids], ['invoice_origin', '=', saleOrder.name],
+        ['move_type', '=', 'out_invoice'],
+        ['state', '!=', 'cancel']
+    ]], { order: 'id desc', limit: 1 });
+    return ids.length ? ids[0] : null;
+}
+
+// Helper function to create invoice from sale order, in the configured invoicing mode
 async function createInvoiceFromSaleOrder(saleOrderId) {
-    return new Promise((resolve, reject) => {
-        // Get the sale order data first
-        object.methodCall('execute_kw', [
-            ODOO_DB, uid, ODOO_PASSWORD,
-            'sale.order', 'read',
-            [saleOrderId],
-            { fields: ['partner_id', 'order_line', 'name'] }
-        ], (err, saleOrderData) => {
-            if (err) return reject(err);
-            
-            const saleOrder = saleOrderData[0];
-            
-            // Create invoice directly
-            object.methodCall('execute_kw', [
-                ODOO_DB, uid, ODOO_PASSWORD,
-                'account.move', 'create',
-                [{
-                    'move_type': 'out_invoice',
-                    'partner_id': saleOrder.partner_id[0],
-                    'invoice_origin': saleOrder.name,
-                    'invoice_line_ids': []
-                }]
-            ], (createErr, invoiceId) => {
-                if (createErr) return reject(createErr);
-                
-                // Get order lines and create invoice lines
-                object.methodCall('execute_kw', [
-                    ODOO_DB, uid, ODOO_PASSWORD,
-                    'sale.order.line', 'read',
-                    [saleOrder.order_line],
-                    { fields: ['product_id', 'name', 'product_uom_qty', 'price_unit'] }
-                ], (lineErr, orderLines) => {
-                    if (lineErr) return reject(lineErr);
-                    
-                    const invoiceLines = orderLines.map(line => [0, 0, {
-                        'product_id': line.product_id[0],
-                        'name': line.name,
-                        'quantity': line.product_uom_qty,
-                        'price_unit': line.price_unit
-                    }]);
-                    
-                    // Update invoice with lines
-                    object.methodCall('execute_kw', [
-                        ODOO_DB, uid, ODOO_PASSWORD,
-                        'account.move', 'write',
-                        [invoiceId, { 'invoice_line_ids': invoiceLines }]
-                    ], (updateErr) => {
-                        if (updateErr) return reject(updateErr);
-                        resolve(invoiceId);
-                    });
-                });
-            });
-        });
-    });
+    const existingId = await findSaleOrderInvoice(saleOrderId);
+    if (existingId) {
+        console.log(`Sale order ${saleOrderId} already has invoice ${existingId}`);
+        return existingId;
+    }
+    if (INVOICE_MODE === 'manual') {
+        return createInvoiceManually(saleOrderId);
+    }
+    return createInvoiceWithWizard(saleOrderId);
+}
+
+// Down payment invoices ("percentage"/"fixed" INVOICE_METHOD) only bill part of the order
+function isDownPaymentInvoice() {
+    return INVOICE_MODE !== 'manual' && ['percentage', 'fixed'].includes(INVOICE_METHOD);
+}
+
+// What the invoice should add up to for the charged total
+function expectedInvoiceTotal(chargedTotal) {
+    if (chargedTotal === null || !isDownPaymentInvoice()) return chargedTotal;
+    const downPayment = Number(INVOICE_DOWN_PAYMENT) || 0;
+    return INVOICE_METHOD === 'percentage' ? roundAmount(chargedTotal * downPayment / 100) : downPayment;
+}
+
+// Helper function to keep a payment within what is left to pay on the invoice
+async function capToInvoiceResidual(invoiceId, amount) {
+    const [invoice] = await odoo.execute('account.move', 'read', [[invoiceId]], { fields: ['amount_residual'] });
+    if (amount !== null && amount <= invoice.amount_residual) return amount;
+
+    console.log(`Payment of ${amount ?? 'unknown amount'} capped to the ${invoice.amount_residual} left on down payment invoice ${invoiceId}`);
+    return invoice.amount_residual;
+}
+
+// Helper function to invoice a sale order through Odoo's own invoicing wizard,
+// so the invoice lines are linked to the order lines and keep their taxes and analytics.
+// INVOICE_METHOD picks a regular invoice ("delivered") or a "percentage"/"fixed" down payment.
+async function createInvoiceWithWizard(saleOrderId) {
+    const method = INVOICE_METHOD || 'delivered';
+    const downPayment = Number(INVOICE_DOWN_PAYMENT) || 0;
+    const context = { active_model: 'sale.order', active_ids: [saleOrderId], active_id: saleOrderId };
+
+    const wizardValues = { advance_payment_method: method };
+    if (method === 'percentage') wizardValues.amount = downPayment;
+    if (method === 'fixed') wizardValues.fixed_amount = downPayment;
+
+    const [before] = await odoo.execute('sale.order', 'read', [[saleOrderId]], { fields: ['invoice_ids'] });
+
+    const wizardId = await odoo.execute('sale.advance.payment.inv', 'create', [wizardValues], { context: context });
+    await odoo.execute('sale.advance.payment.inv', 'create_invoices', [[wizardId]], { context: context });
+
+    // The wizard returns a window action, so find the invoice it added to the order
+    const [after] = await odoo.execute('sale.order', 'read', [[saleOrderId]], { fields: ['invoice_ids'] });
+    const newInvoiceIds = after.invoice_ids.filter(id => !before.invoice_ids.includes(id));
+    if (!newInvoiceIds.length) {
+        throw new Error(`Odoo created no invoice for sale order ${saleOrderId}`);
+    }
+    return Math.max(...newInvoiceIds);
+}
+
+// Helper function to build the invoice from the sale order lines by hand,
+// for Odoo versions whose invoicing wizard cannot be driven over RPC
+async function createInvoiceManually(saleOrderId) {
+    // Get the sale order data first
+    const [saleOrder] = await odoo.execute('sale.order', 'read', [saleOrderId],
+        { fields: ['partner_id', 'order_line', 'name'] });
+
+    // Get order lines and turn them into invoice lines
+    const orderLines = await odoo.execute('sale.order.line', 'read', [saleOrder.order_line],
+        { fields: ['product_id', 'name', 'product_uom_qty', 'price_unit'] });
+
+    const invoiceLines = orderLines.map(line => [0, 0, {
+        'product_id': line.product_id[0],
+        'name': line.name,
+        'quantity': line.product_uom_qty,
+        'price_unit': line.price_unit
+    }]);
+
+    // Create the invoice with its lines in one call, so no empty invoice is left if the rest fails
+    return odoo.execute('account.move', 'create', [{
+        'move_type': 'out_invoice',
+        'partner_id': saleOrder.partner_id[0],
+        'invoice_origin': saleOrder.name,
+        'invoice_line_ids': invoiceLines
+    }]);
+}
+
+// Helper function to cancel a sale order
+async function cancelSaleOrder(saleOrderId) {
+    return odoo.execute('sale.order', 'action_cancel', [saleOrderId]);
+}
+
+// Helper function to cancel a draft invoice
+async function cancelInvoice(invoiceId) {
+    return odoo.execute('account.move', 'button_cancel', [invoiceId]);
 }
 
-// Helper function to post/validate an invoice
+// Helper function to post/validate an invoice, unless it already is
 async function postInvoice(invoiceId) {
-    return new Promise((resolve, reject) => {
-        object.methodCall('execute_kw', [
-            ODOO_DB, uid, ODOO_PASSWORD,
-            'account.move', 'action_post',
-            [invoiceId]
-        ], (err, result) => {
-            if (err) return reject(err);
-            resolve(result);
-        });
-    });
+    const [invoice] = await odoo.execute('account.move', 'read', [[invoiceId]], { fields: ['state'] });
+    if (invoice.state === 'posted') return true;
+    return odoo.execute('account.move', 'action_post', [invoiceId]);
+}
+
+// Helper function to register a customer payment against a posted invoice, which reconciles it
+async function registerInvoicePayment(invoiceId, payment, journalId) {
+    const context = { active_model: 'account.move', active_ids: [invoiceId], active_id: invoiceId };
+    const wizardValues = {
+        journal_id: journalId,
+        payment_date: new Date().toISOString().slice(0, 10),
+        communication: `${payment.gateway} ${payment.transactionId}`
+    };
+    if (payment.amount !== null) wizardValues.amount = payment.amount;
+
+    const wizardId = await odoo.execute('account.payment.register', 'create', [wizardValues], { context: context });
+    await odoo.execute('account.payment.register', 'action_create_payments', [[wizardId]], { context: context });
+
+    // The wizard returns nothing useful over RPC, so look the payment up by its reference.
+    // The payment exists by now: a failed lookup (Odoo 18 renamed ref to memo) must not fail the
+    // step, or the retry would pay the invoice again.
+    try {
+        const paymentIds = await odoo.execute('account.payment', 'search',
+            [[['ref', '=', wizardValues.communication]]], { order: 'id desc', limit: 1 });
+        return paymentIds.length ? paymentIds[0] : true;
+    } catch (error) {
+        console.warn(`Registered the payment of invoice ${invoiceId} but could not look it up: ${error.message}`);
+        return true;
+    }
 }
 
 // Helper function to get invoice details
 async function getInvoiceDetails(invoiceId) {
-    return new Promise((resolve, reject) => {
-        object.methodCall('execute_kw', [
-            ODOO_DB, uid, ODOO_PASSWORD,
-            'account.move', 'read',
-            [invoiceId],
-            { fields: ['name', 'state', 'amount_total', 'currency_id'] }
-        ], (err, result) => {
-            if (err) return reject(err);
-            resolve(result[0]);
-        });
-    });
+    const result = await odoo.execute('account.move', 'read', [invoiceId],
+        { fields: ['name', 'state', 'amount_total', 'currency_id', 'payment_state'] });
+    return result[0];
 }
 
-// Helper function to send invoice by email
-async function sendInvoiceByEmail(invoiceId) {
-    return new Promise((resolve, reject) => {
-        // First, get the email template for invoices
-        object.methodCall('execute_kw', [
-            ODOO_DB, uid, ODOO_PASSWORD,
-            'mail.template', 'search',
-            [[['model', '=', 'account.move'], ['name', 'ilike', 'invoice']]]
-        ], (err, templateIds) => {
-            if (err) return reject(err);
-            
-            // Use the first invoice template found, or create a simple email
-            const templateId = templateIds.length > 0 ? templateIds[0] : null;
-            
-            if (templateId) {
-                // Send using template
-                object.methodCall('execute_kw', [
-                    ODOO_DB, uid, ODOO_PASSWORD,
-                    'mail.template', 'send_mail',
-                    [templateId, invoiceId],
-                    { 'force_send': true }
-                ], (sendErr, result) => {
-                    if (sendErr) return reject(sendErr);
-                    resolve(result);
-                });
-            } else {
-                // Create and send email manually
-                sendInvoiceEmailManually(invoiceId, resolve, reject);
-            }
-        });
-    });
+// Helper function to send invoice by email, with the form's template settings
+async function sendInvoiceByEmail(invoiceId, form) {
+    return invoiceMailer.sendInvoice(invoiceId, form.email);
 }
 
-// Helper function to send invoice email manually
-function sendInvoiceEmailManually(invoiceId, resolve, reject) {
-    // Get invoice details first
-    object.methodCall('execute_kw', [
-        ODOO_DB, uid, ODOO_PASSWORD,
-        'account.move', 'read',
-        [invoiceId],
-        { fields: ['name', 'partner_id', 'amount_total', 'currency_id'] }
-    ], (err, invoiceData) => {
-        if (err) return reject(err);
-        
-        const invoice = invoiceData[0];
-        
-        // Create email message
-        object.methodCall('execute_kw', [
-            ODOO_DB, uid, ODOO_PASSWORD,
-            'mail.mail', 'create',
-            [{
-                'subject': `Invoice ${invoice.name}`,
-                'body_html': `
-                    <p>Dear Customer,</p>
-                    <p>Please find attached your invoice <strong>${invoice.name}</strong> for the amount of ${invoice.amount_total} ${invoice.currency_id[1]}.</p>
-                    <p>Thank you for your business!</p>
-                    <p>Best regards,<br/>Your Company</p>
-                `,
-                'email_to': '', // Will be set from partner
-                'model': 'account.move',
-                'res_id': invoiceId,
-                'auto_delete': true
-            }]
-        ], (createErr, mailId) => {
-            if (createErr) return reject(createErr);
-            
-            // Get partner email and update mail
-            object.methodCall('execute_kw', [
-                ODOO_DB, uid, ODOO_PASSWORD,
-                'res.partner', 'read',
-                [invoice.partner_id[0]],
-                { fields: ['email'] }
-            ], (partnerErr, partnerData) => {
-                if (partnerErr) return reject(partnerErr);
-                
-                const customerEmail = partnerData[0].email;
-                
-                if (!customerEmail) {
-                    return reject(new Error('Customer email not found'));
-                }
-                
-                // Update mail with customer email
-                object.methodCall('execute_kw', [
-                    ODOO_DB, uid, ODOO_PASSWORD,
-                    'mail.mail', 'write',
-                    [mailId, { 'email_to': customerEmail }]
-                ], (updateErr) => {
-                    if (updateErr) return reject(updateErr);
-                    
-                    // Send the mail
-                    object.methodCall('execute_kw', [
-                        ODOO_DB, uid, ODOO_PASSWORD,
-                        'mail.mail', 'send',
-                        [mailId]
-                    ], (sendErr, result) => {
-                        if (sendErr) return reject(sendErr);
-                        resolve(mailId);
-                    });
-                });
-            });
+// Returns a step runner that stores each step's result under the given key and,
+// when the pipeline is retried, hands back the stored result instead of running the step again
+function createCheckpointer(key) {
+    return async function runStep(step, run) {
+        const completed = checkpoints.get(key) || {};
+        if (Object.prototype.hasOwnProperty.call(completed, step)) {
+            console.log(`Resuming ${key}: step "${step}" already completed`);
+            return completed[step];
+        }
+
+        let result;
+        try {
+            result = await run();
+        } catch (error) {
+            // Tell failure reports which step broke
+            if (!error.step) error.step = step;
+            throw error;
+        }
+        checkpoints.update(key, { [step]: result === undefined ? null : result });
+        return result;
+    };
+}
+
+// Result for an order that stopped before confirmation or posting because its totals diverge
+function heldResult(holdReason, details) {
+    console.warn('Order held for review:', holdReason);
+    return {
+        success: true,
+        held: true,
+        holdReason: holdReason,
+        message: `Order held for review: ${holdReason}`,
+        ...details
+    };
+}
+
+// Maps a parsed submission with its form's field mapping and extracts the ordered products
+function readSubmission(rawRequest) {
+    const formId = getFormId(rawRequest);
+    const form = formMappings[formId];
+    if (!form) {
+        throw new Error(`No field mapping configured for form ${formId}`);
+    }
+
+    const submission = mapSubmission(rawRequest, form);
+    const mappedResult = extractProductDetails(submission.products);
+
+    console.log('Mapped products:', JSON.stringify(mappedResult, null, 2));
+
+    if (mappedResult.length === 0) {
+        throw new Error('No valid products found in the order');
+    }
+
+    return { form, submission, mappedResult, unmapped: findUnmappedProducts(catalog, mappedResult) };
+}
+
+// Strict catalogs refuse orders with products they do not know
+function unmappedProductsError(unmapped) {
+    return permanentError(`Products not in the catalog: ${unmapped.map(p => `${p.product_name} (${p.product_id})`).join(', ')}`);
+}
+
+// Runs the full Odoo order pipeline for one parsed submission.
+// Steps are checkpointed under checkpointKey so a retry resumes from the last completed step.
+// An approved order skips the totals checks, after someone reviewed the held order.
+async function processOrder(rawRequest, checkpointKey, approved = false) {
+    const runStep = createCheckpointer(checkpointKey);
+
+    const { form, submission, mappedResult, unmapped } = readSubmission(rawRequest);
+    if (unmapped.length) {
+        // Once per submission, retries and releases of the same order do not count again
+        await runStep('unmappedProducts', () => recordUnmappedProducts(unmapped));
+        if (catalog.strict) throw unmappedProductsError(unmapped);
+    }
+
+    // Compare what the lines add up to with what the customer was charged
+    const tolerance = TOTAL_TOLERANCE !== undefined ? Number(TOTAL_TOLERANCE) : 0.01;
+    const chargedTotal = getChargedTotal(rawRequest);
+    const orderTotal = computeOrderTotal(mappedResult, rawRequest);
+    const orderTotalMismatch = approved ? null : compareTotals('Order lines total', orderTotal, chargedTotal, tolerance);
+
+    // Book the order in the currency it was charged in; a released order goes ahead with whatever resolved
+    const orderCurrency = await currencyResolver.resolveOrderCurrency(mappedResult);
+    if (orderCurrency.problem && !approved) {
+        if (pricing.currencies.unsupported === 'reject') throw permanentError(orderCurrency.problem);
+        return heldResult(orderCurrency.problem, { currency: orderCurrency.currency, chargedTotal: chargedTotal, products: mappedResult });
+    }
+
+    // Step 1: Find or create customer
+    const customer = await runStep('partner', async () => orderBuilder.createOrFindCustomer({
+        name: submission.customerName,
+        email: submission.customerEmail,
+        phone: submission.contactNumber,
+        billing: submission.billing,
+        shipping: submission.shipping,
+        lang: await languageResolver.resolveLanguage(submission.language),
+        reference: submissionReference(checkpointKey)
+    }));
+
+    // Step 2: Prepare Odoo order lines based on mappedResult
+    const odooOrderLines = await runStep('products', () => orderBuilder.buildOrderLines(mappedResult, rawRequest, submission.products));
+
+    console.log('Prepared Odoo order lines:', JSON.stringify(odooOrderLines, null, 2));
+
+    // Step 3: Create sale order
+    const saleOrderId = await runStep('saleOrder', async () => {
+        const id = await findBookedSaleOrder(checkpointKey) ||
+            await createSaleOrder(customer, odooOrderLines, saleOrderValues(submission, orderCurrency, checkpointKey));
+        eventDispatcher.publish('order.created', {
+            submissionId: checkpointKey,
+            partnerId: customer.partnerId,
+            saleOrderId: id,
+            customer: { name: submission.customerName, email: submission.customerEmail },
+            currency: orderCurrency.currency,
+            orderTotal: orderTotal,
+            chargedTotal: chargedTotal
         });
+        return id;
     });
-}
+    console.log('Created sale order with ID:', saleOrderId);
 
-const extractProductDetails = (rawRequest) => {
-    const { q43_myProducts } = rawRequest;
+    if (orderTotalMismatch) {
+        return heldResult(orderTotalMismatch, { partnerId: customer.partnerId, saleOrderId: saleOrderId, orderTotal: orderTotal, chargedTotal: chargedTotal, products: mappedResult });
+    }
+
+    // Step 4: Confirm sale order
+    await runStep('confirm', async () => {
+        await confirmSaleOrder(saleOrderId);
+        eventDispatcher.publish('order.confirmed', { submissionId: checkpointKey, partnerId: customer.partnerId, saleOrderId: saleOrderId });
+    });
+    console.log('Sale order confirmed');
+
+    // Step 5: Hand the order to the fulfillment service. The push is a step of its own so a failing
+    // Odoo write afterwards never sends the order out twice; the submission ID keys repeats.
+    const fulfillment = await runStep('fulfillment', async () => {
+        if (!fulfillmentClient) return null;
+
+        const [saleOrder] = await odoo.execute('sale.order', 'read', [[saleOrderId]], { fields: ['name'] });
+        const response = await fulfillmentClient.pushOrder(buildFulfillmentOrder({
+            saleOrder: saleOrder,
+            submissionId: checkpointKey,
+            customer: {
+                name: submission.customerName,
+                email: submission.customerEmail,
+                phone: submission.contactNumber,
+                billing: submission.billing,
+                shipping: submission.shipping
+            },
+            products: mappedResult
+        }), { idempotencyKey: checkpointKey });
+
+        const reference = response.reference || response.id || response.orderId || null;
+        console.log('Order sent to fulfillment, reference:', reference);
+        return { reference: reference };
+    });
+    const fulfillmentReference = fulfillment ? fulfillment.reference : null;
 
-    // Ensure 'products' is an array in the structure
-    if (!q43_myProducts || !Array.isArray(q43_myProducts.products) || q43_myProducts.products.length === 0) {
-        throw new Error('The products array inside q43_myProducts is empty or not defined.');
+    await runStep('fulfillmentReference', async () => {
+        if (fulfillment) await recordFulfillmentReference(saleOrderId, fulfillmentReference);
+    });
+
+    // Step 6: Create invoice from sale order
+    const invoiceId = await runStep('invoice', () => createInvoiceFromSaleOrder(saleOrderId));
+    console.log('Created invoice with ID:', invoiceId);
+
+    // The draft invoice is Odoo's own view of the total, check it before it becomes official
+    if (!approved) {
+        const draftInvoice = await getInvoiceDetails(invoiceId);
+        const invoiceTotalMismatch = compareTotals(isDownPaymentInvoice() ? 'Down payment invoice total' : 'Invoice total',
+            draftInvoice.amount_total, expectedInvoiceTotal(chargedTotal), tolerance);
+        if (invoiceTotalMismatch) {
+            return heldResult(invoiceTotalMismatch, {
+                partnerId: customer.partnerId,
+                saleOrderId: saleOrderId,
+                invoiceId: invoiceId,
+                invoiceTotal: draftInvoice.amount_total,
+                chargedTotal: chargedTotal,
+                products: mappedResult
+            });
+        }
     }
 
-    // Initialize the mapped products array
-    const mappedProducts = [];
+    // Step 7: Post/validate the invoice (optional - makes it official)
+    await runStep('post', async () => {
+        await postInvoice(invoiceId);
+        const invoice = await getInvoiceDetails(invoiceId);
+        eventDispatcher.publish('invoice.posted', {
+            submissionId: checkpointKey,
+            partnerId: customer.partnerId,
+            saleOrderId: saleOrderId,
+            invoiceId: invoiceId,
+            invoiceNumber: invoice.name,
+            invoiceTotal: invoice.amount_total,
+            currency: orderCurrency.currency
+        });
+    });
+    console.log('Invoice posted and validated');
+
+    // Step 8: Register the payment made through the form, if any
+    const payment = extractPaymentDetails(rawRequest, submission.products);
+    const journalId = payment && (paymentJournals[payment.gateway] || Number(PAYMENT_JOURNAL_ID) || null);
+    const paymentId = await runStep('payment', async () => {
+        if (!payment) {
+            console.log('No payment data in the submission, leaving the invoice open');
+            return null;
+        }
+        if (!journalId) {
+            console.warn(`No payment journal configured for gateway "${payment.gateway}", leaving the invoice open`);
+            return null;
+        }
+        // Anything but an unpaid invoice means an earlier run already registered the payment
+        const [invoice] = await odoo.execute('account.move', 'read', [[invoiceId]], { fields: ['payment_state'] });
+        if (invoice.payment_state !== 'not_paid') {
+            console.log(`Invoice ${invoiceId} is already ${invoice.payment_state}, not registering the payment again`);
+            return true;
+        }
+        // A down payment invoice only takes its share of what was charged
+        const amount = isDownPaymentInvoice() ? await capToInvoiceResidual(invoiceId, payment.amount) : payment.amount;
+        const id = await registerInvoicePayment(invoiceId, { ...payment, amount: amount }, journalId);
+        console.log(`Registered ${payment.gateway} payment ${payment.transactionId}:`, id);
+        return id;
+    });
 
-    // Iterate over the products inside q43_myProducts
-    q43_myProducts.products.forEach((product, index) => {
-        const specialKey = `special_100${index + 1}`;
-        const specialDetails = q43_myProducts[specialKey];
+    // Step 9: Get invoice details for response
+    const invoiceDetails = await getInvoiceDetails(invoiceId);
+    console.log('Invoice details:', invoiceDetails);
 
-        if (!specialDetails) {
-            console.warn(`No special details found for ${specialKey}. Skipping this product.`);
-            return;
+    // Step 10: Send invoice by email
+    const emailResult = await runStep('email', async () => {
+        try {
+            const result = await sendInvoiceByEmail(invoiceId, form);
+            console.log('Invoice email sent successfully:', result);
+            eventDispatcher.publish('email.sent', {
+                submissionId: checkpointKey,
+                partnerId: customer.partnerId,
+                saleOrderId: saleOrderId,
+                invoiceId: invoiceId,
+                email: submission.customerEmail
+            });
+            return result;
+        } catch (emailError) {
+            console.warn('Failed to send invoice email:', emailError.message);
+            // Don't fail the entire process if email fails
+            return null;
         }
+    });
+
+    return {
+        success: true,
+        message: 'Order received, processed, invoice created and email sent',
+        partnerId: customer.partnerId,
+        saleOrderId: saleOrderId,
+        invoiceId: invoiceId,
+        currency: orderCurrency.currency,
+        invoiceNumber: invoiceDetails.name,
+        invoiceTotal: invoiceDetails.amount_total,
+        chargedTotal: chargedTotal,
+        invoiceState: invoiceDetails.state,
+        fulfillmentReference: fulfillmentReference,
+        paymentState: invoiceDetails.payment_state,
+        paymentId: paymentId,
+        awaitingPayment: !paymentId,
+        emailSent: emailResult ? true : false,
+        products: mappedResult,
+        unmappedProducts: unmapped.map(product => product.product_id || product.product_name),
+        orderLines: odooOrderLines.length
+    };
+}
+
+// Works out what processOrder would do with a submission without changing anything in Odoo.
+// Partners, products and templates are looked up for real; every record the pipeline would
+// create or write is only planned and listed, as are the invoice, payment and email steps.
+async function planOrder(rawRequest, submissionId) {
+    const { form, submission, mappedResult, unmapped } = readSubmission(rawRequest);
+    if (unmapped.length && catalog.strict) throw unmappedProductsError(unmapped);
+
+    const tolerance = TOTAL_TOLERANCE !== undefined ? Number(TOTAL_TOLERANCE) : 0.01;
+    const chargedTotal = getChargedTotal(rawRequest);
+    const orderTotal = computeOrderTotal(mappedResult, rawRequest);
+    const orderCurrency = await currencyResolver.resolveOrderCurrency(mappedResult);
+    if (orderCurrency.problem && pricing.currencies.unsupported === 'reject') throw permanentError(orderCurrency.problem);
+    const holdReason = orderCurrency.problem || compareTotals('Order lines total', orderTotal, chargedTotal, tolerance);
+
+    const dryRun = createDryRun(odoo.execute);
+    const builder = createOrderBuilder(dryRun.call);
+    const action = (id) => isPlanned(id) ? 'create' : 'reuse';
+
+    const plan = {
+        success: true,
+        dryRun: true,
+        message: holdReason ? `Dry run: the order would be held for review: ${holdReason}` : 'Dry run: nothing was written to Odoo',
+        held: Boolean(holdReason),
+        holdReason: holdReason,
+        orderTotal: orderTotal,
+        chargedTotal: chargedTotal,
+        currency: orderCurrency.currency,
+        pricelistId: orderCurrency.pricelistId,
+        partners: [],
+        products: [],
+        unmappedProducts: unmapped.map(product => product.product_id || product.product_name),
+        saleOrder: null,
+        fulfillment: null,
+        invoice: null,
+        payment: null,
+        email: null,
+        operations: dryRun.operations
+    };
+    // Currency problems hold the order before anything is looked up
+    if (orderCurrency.problem) return plan;
+
+    const customer = await builder.createOrFindCustomer({
+        name: submission.customerName,
+        email: submission.customerEmail,
+        phone: submission.contactNumber,
+        billing: submission.billing,
+        shipping: submission.shipping,
+        lang: await languageResolver.resolveLanguage(submission.language),
+        reference: submissionReference(submissionId)
+    });
+    const orderLines = await builder.buildOrderLines(mappedResult, rawRequest, submission.products);
+    const saleOrderId = await createSaleOrder(customer, orderLines, saleOrderValues(submission, orderCurrency, submissionId), dryRun.call);
 
-        // Create the mapped product object
-        const mappedProduct = {
-            product_id: specialKey,
-            product_name: product.productName,
-            unit_price: product.unitPrice,
-            currency: product.currency,
-            quantity: product.quantity,
-            subTotal: product.subTotal,
-            product_options: []
+    plan.partners.push({ role: 'customer', action: action(customer.partnerId), id: customer.partnerId });
+    if (customer.invoiceAddressId !== customer.partnerId) {
+        plan.partners.push({ role: 'invoice address', action: action(customer.invoiceAddressId), id: customer.invoiceAddressId });
+        plan.partners.push({ role: 'delivery address', action: action(customer.shippingAddressId), id: customer.shippingAddressId });
+    }
+    plan.products = orderLines.map(([, , line]) => ({
+        action: action(line.product_id),
+        id: line.product_id,
+        name: line.name,
+        quantity: line.product_uom_qty,
+        unitPrice: line.price_unit
+    }));
+    plan.saleOrder = { action: 'create', id: saleOrderId, confirm: !holdReason };
+    if (holdReason) return plan;
+
+    if (fulfillmentClient) {
+        plan.fulfillment = {
+            action: 'push',
+            order: buildFulfillmentOrder({
+                saleOrder: { id: saleOrderId, name: null },
+                submissionId: submissionId,
+                customer: {
+                    name: submission.customerName,
+                    email: submission.customerEmail,
+                    phone: submission.contactNumber,
+                    billing: submission.billing,
+                    shipping: submission.shipping
+                },
+                products: mappedResult
+            })
         };
+    }
 
-        // Extract and map special details into product_options
-        Object.keys(specialDetails).forEach((key, idx) => {
-            const value = specialDetails[key];
-
-            switch (idx) {
-                case 0: // item_0 corresponds to quantity
-                    mappedProduct.product_options.push(`Quantity: ${value}`);
-                    break;
-                case 1: // item_1 corresponds to color or size
-                    if (key === 'item_1' && index < 2) {
-                        mappedProduct.product_options.push(`Color: ${value}`);
-                    } else {
-                        mappedProduct.product_options.push(`Size: ${value}`);
-                    }
-                    break;
-                case 2: // item_2 corresponds to size for the first two products
-                    if (key === 'item_2') {
-                        mappedProduct.product_options.push(`${product.productName} Size: ${value}`);
-                    }
-                    break;
-            }
-        });
+    plan.invoice = {
+        action: 'create',
+        mode: INVOICE_MODE === 'manual' ? 'manual' : 'wizard',
+        method: INVOICE_MODE === 'manual' ? null : (INVOICE_METHOD || 'delivered'),
+        post: true
+    };
+
+    const payment = extractPaymentDetails(rawRequest, submission.products);
+    const journalId = payment && (paymentJournals[payment.gateway] || Number(PAYMENT_JOURNAL_ID) || null);
+    if (payment) {
+        plan.payment = {
+            action: journalId ? 'register' : 'skip',
+            gateway: payment.gateway,
+            transactionId: payment.transactionId,
+            amount: isDownPaymentInvoice() && chargedTotal !== null
+                ? Math.min(payment.amount ?? Infinity, expectedInvoiceTotal(chargedTotal))
+                : payment.amount,
+            journalId: journalId
+        };
+    }
 
-        // Add mapped product to the results array
-        mappedProducts.push(mappedProduct);
-    });
+    const templateId = await invoiceMailer.resolveTemplate(form.email);
+    plan.email = {
+        action: 'send',
+        templateId: templateId,
+        localTemplate: !templateId,
+        attachment: INVOICE_REPORT || 'account.report_invoice',
+        to: submission.customerEmail || null
+    };
 
-    return mappedProducts;
-};
+    return plan;
+}
 
-// Main webhook route to handle incoming form submissions
-app.post('/webhook', upload.none(), async (req, res) => {
-    try {
-        console.log('Received webhook data:', JSON.stringify(req.body, null, 2));
+// Undo a permanently failed order: cancel the draft invoice (if any) and the sale order.
+// Posted invoices are left alone, they need a credit note from accounting. So are orders the
+// fulfillment service may already have, since it is never told about the cancellation.
+async function compensateOrder(checkpointKey, error) {
+    const completed = checkpoints.get(checkpointKey) || {};
+    if (!completed.saleOrder || Object.prototype.hasOwnProperty.call(completed, 'post')) {
+        return false;
+    }
+    if (completed.fulfillment || (error.step === 'fulfillment' && error.maybeDelivered !== false)) {
+        console.warn(`Not cancelling sale order ${completed.saleOrder}: it may already be with the fulfillment service`);
+        return false;
+    }
 
-        // Parse the rawRequest field which contains the actual form data
-        const rawRequest = JSON.parse(req.body.rawRequest);
-        const mappedResult = extractProductDetails(rawRequest);
+    if (completed.invoice) {
+        await cancelInvoice(completed.invoice);
+        console.log('Cancelled draft invoice:', completed.invoice);
+    }
+    await cancelSaleOrder(completed.saleOrder);
+    console.log('Cancelled sale order:', completed.saleOrder);
 
-        const customerName = `${rawRequest.q2_fullName2.first} ${rawRequest.q2_fullName2.last}`;
-        const customerEmail = rawRequest.q3_email3 || `${Date.now()}@noemail.com`;
-        const contactNumber = rawRequest.q5_contactNumber.full || '';
-        const billing = rawRequest.q4_billingAddress || {};
+    // Start from scratch if the job is ever requeued
+    checkpoints.remove(checkpointKey);
+    return true;
+}
+
+// What notifications say about a submission. The payload is mapped again because failed
+// jobs have no result; a payload that cannot be mapped still gets reported.
+function notificationDetails(submissionId, rawRequest, details = {}) {
+    let customer = {};
+    let orderTotal = null;
+    try {
+        const submission = mapSubmission(rawRequest, formMappings[getFormId(rawRequest)]);
+        customer = { name: submission.customerName, email: submission.customerEmail };
+        orderTotal = computeOrderTotal(extractProductDetails(submission.products), rawRequest);
+    } catch (error) {
+        // Nothing more to tell
+    }
 
-        console.log('Mapped products:', JSON.stringify(mappedResult, null, 2));
+    return {
+        submissionId: submissionId,
+        customer: customer,
+        totals: {
+            charged: rawRequest ? getChargedTotal(rawRequest) : null,
+            order: orderTotal,
+            invoice: details.invoiceTotal !== undefined ? details.invoiceTotal : null
+        },
+        saleOrderId: details.saleOrderId || null,
+        invoiceId: details.invoiceId || null,
+        invoiceNumber: details.invoiceNumber || null,
+        reason: details.reason || null,
+        step: details.step || null,
+        error: details.error || null
+    };
+}
 
-        if (mappedResult.length === 0) {
-            throw new Error('No valid products found in the order');
+// Durable queue so slow or failing Odoo calls never hold up (or lose) a Jotform delivery
+const orderQueue = createQueue({
+    jobsFile: path.join(dataDir, 'jobs.json'),
+    deadLetterFile: path.join(dataDir, 'dead-letters.json'),
+    maxAttempts: Number(QUEUE_MAX_ATTEMPTS) || 5,
+    retryDelay: Number(QUEUE_RETRY_DELAY_MS) || 5000,
+    handler: (job) => processOrder(job.payload.rawRequest, job.payload.submissionId || job.id, job.payload.approved),
+    onComplete: (job, result) => {
+        console.log(`Job ${job.id} ${result.held ? 'held for review' : 'completed'}, sale order ${result.saleOrderId || 'none'}, invoice ${result.invoiceId || 'none'}`);
+        // Held orders keep their checkpoints so a release resumes where they stopped
+        if (!result.held) {
+            checkpoints.remove(job.payload.submissionId || job.id);
+        }
+        if (job.payload.submissionId) {
+            submissions.update(job.payload.submissionId, {
+                status: result.held ? 'held' : 'completed',
+                partnerId: result.partnerId,
+                saleOrderId: result.saleOrderId,
+                invoiceId: result.invoiceId,
+                error: null,
+                completedAt: new Date().toISOString(),
+                result: result
+            });
         }
 
-        // Step 1: Find or create customer
-        const customerId = await createOrFindCustomer(customerName, customerEmail, contactNumber, billing);
+        notifier.notify(result.held ? 'held' : 'completed', notificationDetails(job.payload.submissionId || job.id, job.payload.rawRequest, {
+            saleOrderId: result.saleOrderId,
+            invoiceId: result.invoiceId,
+            invoiceNumber: result.invoiceNumber,
+            invoiceTotal: result.invoiceTotal,
+            reason: result.holdReason
+        }));
+    },
+    onRetry: (job, error) => {
+        if (job.payload.submissionId) {
+            submissions.update(job.payload.submissionId, { status: 'retrying', attempts: job.attempts, error: error.message });
+        }
+    },
+    onDeadLetter: async (job, error) => {
+        if (job.payload.submissionId) {
+            // Failed submissions are not treated as duplicates so a redelivery can process them again
+            submissions.update(job.payload.submissionId, {
+                status: 'failed',
+                attempts: job.attempts,
+                error: error.message,
+                failedStep: error.step || null
+            });
+        }
 
-        // Step 2: Prepare Odoo order lines based on mappedResult
-        const odooOrderLines = [];
-        for (const product of mappedResult) {
-            // Create a formatted product name that includes the options
-            const productOptions = product.product_options.slice(1).join(', '); // Skip the first option (Quantity)
-            const formattedProductName = productOptions ? 
-                `${product.product_name} (${productOptions})` : 
-                product.product_name;
+        const completed = checkpoints.get(job.payload.submissionId || job.id) || {};
+        notifier.notify('failed', notificationDetails(job.payload.submissionId || job.id, job.payload.rawRequest, {
+            saleOrderId: completed.saleOrder,
+            invoiceId: completed.invoice,
+            step: error.step,
+            error: error.message
+        }));
+        eventDispatcher.publish('order.failed', {
+            submissionId: job.payload.submissionId || job.id,
+            saleOrderId: completed.saleOrder || null,
+            invoiceId: completed.invoice || null,
+            step: error.step || null,
+            error: error.message
+        });
 
-            // Find or create the product in Odoo
-            const productId = await findOrCreateProduct(formattedProductName, product.unit_price);
-            
-            // Add to Odoo order lines
-            odooOrderLines.push([
-                0, 0, {
-                    product_id: productId,
-                    name: formattedProductName,
-                    product_uom_qty: product.quantity,
-                    price_unit: product.unit_price
+        if (COMPENSATION_MODE === 'cancel') {
+            try {
+                const compensated = await compensateOrder(job.payload.submissionId || job.id, error);
+                if (compensated && job.payload.submissionId) {
+                    submissions.update(job.payload.submissionId, { compensated: true });
                 }
-            ]);
+            } catch (compensationError) {
+                console.error(`Failed to cancel order for job ${job.id}:`, compensationError.message);
+            }
         }
+    }
+});
 
-        console.log('Prepared Odoo order lines:', JSON.stringify(odooOrderLines, null, 2));
+// Only Jotform may post orders: shared token, IP allowlist and submission lookup, each when configured
+const webhookAuth = createWebhookAuth({
+    token: WEBHOOK_TOKEN,
+    allowedIps: (WEBHOOK_ALLOWED_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean),
+    verifySubmission: JOTFORM_VERIFY_SUBMISSIONS === 'true' ? createJotformVerifier({
+        apiUrl: JOTFORM_API_URL || 'https://api.jotform.com',
+        apiKey: JOTFORM_API_KEY
+    }) : null
+});
 
-        // Step 3: Create sale order
-        const saleOrderId = await createSaleOrder(customerId, odooOrderLines);
-        console.log('Created sale order with ID:', saleOrderId);
+// The admin and ledger routes show and change customer data and outgoing subscriptions
+const adminAuth = createAdminAuth({ token: ADMIN_TOKEN });
+if (!ADMIN_TOKEN) {
+    console.warn('ADMIN_TOKEN is not set, the admin routes are disabled');
+}
 
-        // Step 4: Confirm sale order
-        await confirmSaleOrder(saleOrderId);
-        console.log('Sale order confirmed');
+// Behind a reverse proxy the client address comes from X-Forwarded-For
+if (TRUST_PROXY) {
+    app.set('trust proxy', TRUST_PROXY === 'true' ? true : TRUST_PROXY);
+}
 
-        // Step 5: Create invoice from sale order
-        const invoiceId = await createInvoiceFromSaleOrder(saleOrderId);
-        console.log('Created invoice with ID:', invoiceId);
+// Refused submissions are kept too, so the ledger can tell what happened to every delivery
+function recordRejectedSubmission(submissionId, details) {
+    if (!submissionId) return;
+    submissions.set(submissionId, {
+        submissionId: submissionId,
+        status: 'rejected',
+        receivedAt: new Date().toISOString(),
+        ...details
+    });
+}
 
-        // Step 6: Post/validate the invoice (optional - makes it official)
-        await postInvoice(invoiceId);
-        console.log('Invoice posted and validated');
+// Helper function to answer a repeated delivery with what came of the first one;
+// submissions past the ledger retention only have their summary left
+function duplicateResult(existing) {
+    if (existing.result) return existing.result;
+    if (existing.payloadPrunedAt) {
+        return {
+            success: true,
+            message: `Submission was already ${existing.status}`,
+            status: existing.status,
+            partnerId: existing.partnerId,
+            saleOrderId: existing.saleOrderId,
+            invoiceId: existing.invoiceId
+        };
+    }
+    return { success: true, message: 'Submission is already being processed' };
+}
+
+// Main webhook route to handle incoming form submissions
+app.post('/webhook', upload.none(), webhookAuth, async (req, res) => {
+    let submissionId = null;
+
+    // A dry run only plans the order, asked for per request or for every request with DRY_RUN=true
+    const dryRun = DRY_RUN === 'true' || req.query.dryRun === 'true' || req.get('X-Dry-Run') === 'true';
 
-        // Step 7: Get invoice details for response
-        const invoiceDetails = await getInvoiceDetails(invoiceId);
-        console.log('Invoice details:', invoiceDetails);
+    try {
+        // Anything but a multipart/urlencoded post leaves no body at all
+        const body = req.body || {};
+        submissionId = body.submissionID || null;
+        console.log('Received webhook data:', JSON.stringify(body, null, 2));
+
+        // Jotform retries deliveries and users double-click submit: answer repeats with the original result
+        const existing = submissionId ? submissions.get(submissionId) : null;
+        if (existing && !['failed', 'rejected'].includes(existing.status) && !dryRun) {
+            console.log(`Duplicate delivery of submission ${submissionId} (status: ${existing.status})`);
+            return res.status(200).json({
+                ...duplicateResult(existing),
+                submissionId: submissionId,
+                jobId: existing.jobId,
+                duplicate: true
+            });
+        }
 
-        // Step 8: Send invoice by email
-        let emailResult = null;
+        // Parse the rawRequest field which contains the actual form data
+        let rawRequest = null;
         try {
-            emailResult = await sendInvoiceByEmail(invoiceId);
-            console.log('Invoice email sent successfully:', emailResult);
-        } catch (emailError) {
-            console.warn('Failed to send invoice email:', emailError.message);
-            // Don't fail the entire process if email fails
-            emailResult = null;
+            rawRequest = JSON.parse(body.rawRequest);
+        } catch (parseError) {
+            rawRequest = null;
+        }
+
+        // Valid JSON is not enough: null, numbers, strings and arrays hold no answers
+        if (!rawRequest || typeof rawRequest !== 'object' || Array.isArray(rawRequest)) {
+            console.warn(`Rejected submission ${submissionId}: rawRequest is not a JSON object`);
+            recordRejectedSubmission(submissionId, {
+                formId: body.formID || null,
+                error: 'rawRequest is missing or not a JSON object',
+                rawRequest: body.rawRequest || null
+            });
+            return res.status(422).json({
+                success: false,
+                error: 'Invalid submission',
+                message: 'rawRequest is missing or not a JSON object',
+                errors: [{ field: 'rawRequest', question: 'rawRequest', message: 'rawRequest is missing or not a JSON object' }]
+            });
+        }
+
+        // Submissions from forms we have no mapping for can never be processed
+        const formId = getFormId(rawRequest);
+        if (!formMappings[formId]) {
+            console.warn(`Rejected submission ${submissionId}: no field mapping for form ${formId}`);
+            recordRejectedSubmission(submissionId, {
+                formId: formId,
+                error: `No field mapping configured for form ${formId}`,
+                rawRequest: rawRequest
+            });
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown form',
+                message: `No field mapping configured for form ${formId}`
+            });
         }
 
-        res.status(200).json({
+        // Payloads that can never be processed are refused now instead of failing in the queue
+        const errors = validateSubmission(rawRequest, formMappings[formId]);
+        if (errors.length) {
+            console.warn(`Rejected submission ${submissionId}:`, errors.map(error => error.message).join('; '));
+            recordRejectedSubmission(submissionId, {
+                formId: formId,
+                error: errors.map(error => error.message).join('; '),
+                errors: errors,
+                rawRequest: rawRequest
+            });
+            return res.status(422).json({
+                success: false,
+                error: 'Invalid submission',
+                message: `The submission has ${errors.length} invalid field(s)`,
+                errors: errors
+            });
+        }
+
+        if (dryRun) {
+            try {
+                const plan = await planOrder(rawRequest, submissionId);
+                console.log(`Dry run of submission ${submissionId}: ${plan.operations.length} Odoo write(s) planned`);
+                return res.status(200).json({ submissionId: submissionId, ...plan });
+            } catch (error) {
+                // Problems the real run would dead-letter right away
+                if (error.retryable !== false) throw error;
+                console.warn(`Dry run of submission ${submissionId} failed:`, error.message);
+                return res.status(422).json({ success: false, dryRun: true, error: 'Order cannot be processed', message: error.message });
+            }
+        }
+
+        // A redelivered submission that ended up in the dead letters is retried from there
+        const job = (existing && orderQueue.requeue(existing.jobId)) ||
+            orderQueue.enqueue({ submissionId: submissionId, rawRequest: rawRequest });
+        console.log(`Queued submission ${submissionId} as job ${job.id}`);
+
+        if (submissionId) {
+            submissions.set(submissionId, {
+                submissionId: submissionId,
+                formId: formId,
+                jobId: job.id,
+                status: 'queued',
+                receivedAt: new Date().toISOString(),
+                rawRequest: rawRequest
+            });
+        }
+
+        res.status(202).json({
             success: true,
-            message: 'Order received, processed, invoice created and email sent',
-            saleOrderId: saleOrderId,
-            invoiceId: invoiceId,
-            invoiceNumber: invoiceDetails.name,
-            invoiceTotal: invoiceDetails.amount_total,
-            invoiceState: invoiceDetails.state,
-            emailSent: emailResult ? true : false,
-            products: mappedResult,
-            orderLines: odooOrderLines.length
+            message: 'Order received and queued for processing',
+            submissionId: submissionId,
+            jobId: job.id,
+            duplicate: false
         });
 
     } catch (error) {
         console.error('Webhook error:', error.message);
         console.error('Error stack:', error.stack);
+        // A dry run books nothing, so there is no failed order to tell anyone about
+        if (!dryRun) {
+            notifier.notify('failed', notificationDetails(submissionId, null, { step: 'webhook', error: error.message }));
+        }
         res.status(500).json({
             success: false,
             error: 'Internal Server Error',
@@ -482,14 +1326,151 @@ app.post('/webhook', upload.none(), async (req, res) => {
     }
 });
 
+// Drop the raw payload and result of settled submissions after LEDGER_RETENTION_DAYS (30 by default,
+// 0 keeps them). Held, queued and failed ones keep theirs, releasing or inspecting them needs it.
+function pruneLedgerPayloads() {
+    const days = LEDGER_RETENTION_DAYS !== undefined ? Number(LEDGER_RETENTION_DAYS) : 30;
+    if (!days) return;
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const expired = submissions.list().filter(submission =>
+        ['completed', 'rejected'].includes(submission.status) &&
+        submission.rawRequest !== undefined &&
+        new Date(submission.completedAt || submission.receivedAt).getTime() < cutoff);
+
+    expired.forEach(({ rawRequest, result, ...summary }) => {
+        submissions.set(summary.submissionId, { ...summary, payloadPrunedAt: new Date().toISOString() });
+    });
+    if (expired.length) {
+        console.log(`Removed the raw payloads of ${expired.length} submission(s) older than ${days} days`);
+    }
+}
+
+// Ledger of received submissions, newest first, without the raw payloads:
+// GET /submissions?status=failed,held&formId=...&from=2024-01-01&to=2024-01-31
+app.get('/submissions', adminAuth, (req, res) => {
+    const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()) : null;
+    const from = req.query.from ? new Date(req.query.from) : null;
+    // A plain date as upper bound includes that whole day
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) to.setUTCDate(to.getUTCDate() + 1);
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({ success: false, message: 'from and to must be ISO dates, e.g. 2024-01-31 or 2024-01-31T12:00:00Z' });
+    }
+
+    const results = submissions.list()
+        .filter(submission => !statuses || statuses.includes(submission.status))
+        .filter(submission => !req.query.formId || String(submission.formId) === String(req.query.formId))
+        .filter(submission => !from || new Date(submission.receivedAt) >= from)
+        .filter(submission => !to || new Date(submission.receivedAt) < to)
+        .sort((a, b) => String(b.receivedAt).localeCompare(String(a.receivedAt)))
+        .map(({ rawRequest, result, ...summary }) => summary);
+
+    res.status(200).json({ count: results.length, submissions: results });
+});
+
+// Everything known about one submission, including its raw payload and pipeline result
+app.get('/submissions/:id', adminAuth, (req, res) => {
+    const submission = submissions.get(req.params.id);
+    if (!submission) {
+        return res.status(404).json({ success: false, message: `No submission with ID ${req.params.id}` });
+    }
+    res.status(200).json({
+        ...submission,
+        checkpoints: checkpoints.get(req.params.id) || null
+    });
+});
+
+// List jobs that used up all their retries
+app.get('/admin/dead-letters', adminAuth, (req, res) => {
+    res.status(200).json({ deadLetters: orderQueue.listDeadLetters() });
+});
+
+// Jotform products that are missing from the catalog mapping
+app.get('/admin/unmapped-products', adminAuth, (req, res) => {
+    res.status(200).json({ unmappedProducts: unmappedProducts.list() });
+});
+
+// Release an order held for review: it resumes from where it stopped, without the totals checks
+app.post('/admin/submissions/:id/release', adminAuth, (req, res) => {
+    const submission = submissions.get(req.params.id);
+    if (!submission || submission.status !== 'held') {
+        return res.status(404).json({ success: false, message: `No held submission with ID ${req.params.id}` });
+    }
+
+    const job = orderQueue.enqueue({ submissionId: submission.submissionId, rawRequest: submission.rawRequest, approved: true });
+    submissions.update(submission.submissionId, { status: 'queued', jobId: job.id, result: null });
+    res.status(202).json({ success: true, message: 'Held order released', jobId: job.id });
+});
+
+// Put a dead job back on the queue
+app.post('/admin/dead-letters/:id/requeue', adminAuth, (req, res) => {
+    const job = orderQueue.requeue(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, message: `No dead letter with ID ${req.params.id}` });
+    }
+
+    if (job.payload.submissionId) {
+        submissions.update(job.payload.submissionId, { status: 'queued', error: null });
+    }
+    res.status(202).json({ success: true, message: 'Job requeued', jobId: job.id });
+});
+
+// Outgoing event subscriptions: POST { "url": "...", "events": ["order.created"], "secret": "..." }
+// The secret signs every delivery and is only returned here, one is generated when left out
+app.get('/admin/subscriptions', adminAuth, (req, res) => {
+    res.status(200).json({ subscriptions: eventDispatcher.listSubscriptions() });
+});
+
+app.post('/admin/subscriptions', adminAuth, express.json(), (req, res) => {
+    try {
+        const subscription = eventDispatcher.addSubscription(req.body || {});
+        res.status(201).json({ success: true, subscription: subscription });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message, problems: error.problems || [] });
+    }
+});
+
+app.delete('/admin/subscriptions/:id', adminAuth, (req, res) => {
+    if (!eventDispatcher.removeSubscription(req.params.id)) {
+        return res.status(404).json({ success: false, message: `No subscription with ID ${req.params.id}` });
+    }
+    res.status(200).json({ success: true, message: 'Subscription removed' });
+});
+
+// Published events with the delivery log of every subscription: GET /admin/events?type=order.failed
+app.get('/admin/events', adminAuth, (req, res) => {
+    const events = eventDispatcher.listEvents({ type: req.query.type });
+    res.status(200).json({ count: events.length, events: events });
+});
+
+app.get('/admin/events/:id', adminAuth, (req, res) => {
+    const event = eventDispatcher.getEvent(req.params.id);
+    if (!event) {
+        return res.status(404).json({ success: false, message: `No event with ID ${req.params.id}` });
+    }
+    res.status(200).json(event);
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Start the webhook server
+// Start the webhook server and the order worker
 app.listen(PORT || 3000, () => {
     console.log(`Webhook server listening on port ${PORT || 3000}`);
+    orderQueue.start();
+    eventDispatcher.start();
+
+    pruneLedgerPayloads();
+    setInterval(pruneLedgerPayloads, 24 * 60 * 60 * 1000).unref();
+    eventDispatcher.pruneEvents();
+    setInterval(eventDispatcher.pruneEvents, 24 * 60 * 60 * 1000).unref();
+
+    // Log in early so bad credentials show up at startup; calls log in again on their own if this fails
+    odoo.authenticate().catch(error => console.error('Odoo auth failed:', error.message));
 });
 
 // require('dotenv').config();
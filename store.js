@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// Simple persistent key/value store backed by a JSON file.
+// Records are kept in memory and the whole file is rewritten on every change,
+// which is plenty for the volume of form submissions we handle.
+function createStore(filePath) {
+    let records = {};
+
+    if (fs.existsSync(filePath)) {
+        records = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}');
+    }
+
+    // Write to a temp file first so a crash never leaves a half-written store
+    function save() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    return {
+        get(id) {
+            return records[id] || null;
+        },
+
+        has(id) {
+            return Object.prototype.hasOwnProperty.call(records, id);
+        },
+
+        set(id, record) {
+            records[id] = record;
+            save();
+            return record;
+        },
+
+        update(id, changes) {
+            records[id] = { ...(records[id] || {}), ...changes };
+            save();
+            return records[id];
+        },
+
+        remove(id) {
+            delete records[id];
+            save();
+        },
+
+        list() {
+            return Object.values(records);
+        }
+    };
+}
+
+module.exports = { createStore };
@@ -1,64 +1,4 @@
-const extractProductDetails = (rawRequest) => {
-  const { q43_myProducts } = rawRequest;
-
-  // Ensure 'products' is an array in the structure
-  if (!q43_myProducts || !Array.isArray(q43_myProducts.products) || q43_myProducts.products.length === 0) {
-    throw new Error('The products array inside q43_myProducts is empty or not defined.');
-  }
-
-  // Initialize the mapped products array
-  const mappedProducts = [];
-
-  // Iterate over the products inside q43_myProducts
-  q43_myProducts.products.forEach((product, index) => {
-    const specialKey = `special_100${index + 1}`;
-    const specialDetails = q43_myProducts[specialKey];
-
-    if (!specialDetails) {
-      console.warn(`No special details found for ${specialKey}. Skipping this product.`);
-      return;
-    }
-
-    // Create the mapped product object
-    const mappedProduct = {
-      product_id: specialKey,
-      product_name: product.productName,
-      unit_price: product.unitPrice,
-      currency: product.currency,
-      quantity: product.quantity,
-      subTotal: product.subTotal,
-      product_options: []
-    };
-
-    // Extract and map special details into product_options
-    Object.keys(specialDetails).forEach((key, idx) => {
-      const value = specialDetails[key];
-
-      switch (idx) {
-        case 0: // item_0 corresponds to quantity
-          mappedProduct.product_options.push(`Quantity: ${value}`);
-          break;
-        case 1: // item_1 corresponds to color or size
-          if (key === 'item_1' && index < 2) {
-            mappedProduct.product_options.push(`Color: ${value}`);
-          } else {
-            mappedProduct.product_options.push(`Size: ${value}`);
-          }
-          break;
-        case 2: // item_2 corresponds to size for the first two products
-          if (key === 'item_2') {
-            mappedProduct.product_options.push(`${product.productName} Size: ${value}`);
-          }
-          break;
-      }
-    });
-
-    // Add mapped product to the results array
-    mappedProducts.push(mappedProduct);
-  });
-
-  return mappedProducts;
-};
+const { extractProductDetails } = require('./products');
 
 // Sample req.body.rawRequest for testing
 const reqBody = {
@@ -122,7 +62,7 @@ const reqBody = {
 };
 
 // Call the function with the rawRequest object
-const mappedResult = extractProductDetails(reqBody.rawRequest);
+const mappedResult = extractProductDetails(reqBody.rawRequest.q43_myProducts);
 
 // Print the result
 console.log(JSON.stringify(mappedResult, null, 2));
@@ -0,0 +1,55 @@
+// Round to cents so floating point noise never counts as a difference
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// What Jotform charged the customer, or null for forms without a payment field
+function getChargedTotal(rawRequest) {
+    const checksum = rawRequest.payment_total_checksum;
+    if (checksum === undefined || checksum === null || checksum === '') return null;
+
+    const total = Number(checksum);
+    return Number.isFinite(total) ? roundAmount(total) : null;
+}
+
+// Discount (coupon or form discount) Jotform took off the order
+function getDiscountAmount(rawRequest) {
+    return roundAmount(Math.abs(Number(rawRequest.payment_discount_value) || 0));
+}
+
+// Shipping fee Jotform added to the order
+function getShippingFee(rawRequest) {
+    return roundAmount(Number(rawRequest.payment_shipping_value) || 0);
+}
+
+// The coupon code the customer entered, if any
+function getCouponCode(rawRequest, productsAnswer) {
+    return (productsAnswer && productsAnswer.coupon) || rawRequest.coupon || null;
+}
+
+function computeLinesTotal(products) {
+    return roundAmount(products.reduce((sum, product) => sum + (Number(product.subTotal) || 0), 0));
+}
+
+// What the mapped order lines add up to, after the form's discount and with its shipping fee
+function computeOrderTotal(products, rawRequest) {
+    return roundAmount(computeLinesTotal(products) - getDiscountAmount(rawRequest) + getShippingFee(rawRequest));
+}
+
+// Returns a human readable reason when two totals differ by more than the tolerance, otherwise null
+function compareTotals(label, actual, expected, tolerance) {
+    if (expected === null || actual === null || actual === undefined) return null;
+    if (Math.abs(roundAmount(actual) - expected) <= tolerance) return null;
+    return `${label} ${roundAmount(actual)} does not match the charged total ${expected}`;
+}
+
+module.exports = {
+    roundAmount,
+    getChargedTotal,
+    getDiscountAmount,
+    getShippingFee,
+    getCouponCode,
+    computeLinesTotal,
+    computeOrderTotal,
+    compareTotals
+};
@@ -0,0 +1,99 @@
+const { MAPPING_FIELDS } = require('./mapping');
+
+// Deliberately loose: something@domain.tld without spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Digits and the punctuation people type in phone numbers
+const PHONE_PATTERN = /^[\d\s()+\-./x]+$/i;
+
+function isEmpty(value) {
+    if (value === undefined || value === null) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (typeof value === 'object') return Object.values(value).every(isEmpty);
+    return false;
+}
+
+function isNumeric(value) {
+    return value !== '' && value !== null && typeof value !== 'boolean' && Number.isFinite(Number(value));
+}
+
+// Each checker returns a list of problems with a non-empty answer
+const CHECKERS = {
+    name: (value) => {
+        if (typeof value === 'string') return [];
+        if (typeof value !== 'object') return ['must be a name'];
+        return isEmpty(value.first) && isEmpty(value.last) ? ['needs a first or last name'] : [];
+    },
+
+    email: (value) => (typeof value === 'string' && EMAIL_PATTERN.test(value.trim()) ? [] : ['is not a valid email address']),
+
+    phone: (value) => {
+        const phone = typeof value === 'object' ? value.full : value;
+        if (isEmpty(phone)) return typeof value === 'object' ? ['has no full phone number'] : [];
+        return typeof phone === 'string' && PHONE_PATTERN.test(phone) && /\d/.test(phone) ? [] : ['is not a valid phone number'];
+    },
+
+    address: (value) => (typeof value === 'object' && !Array.isArray(value) ? [] : ['must be an address']),
+
+    text: (value) => (typeof value === 'string' ? [] : ['must be text']),
+
+    products: (value) => {
+        if (typeof value !== 'object' || !Array.isArray(value.products) || value.products.length === 0) {
+            return ['has no ordered products'];
+        }
+
+        const problems = [];
+        value.products.forEach((product, index) => {
+            const label = `product ${index + 1}`;
+            if (!product || typeof product !== 'object') {
+                problems.push(`${label} is not a product`);
+                return;
+            }
+            if (typeof product.productName !== 'string' || product.productName.trim() === '') {
+                problems.push(`${label} has no name`);
+            }
+            if (product.quantity !== undefined && (!isNumeric(product.quantity) || Number(product.quantity) <= 0)) {
+                problems.push(`${label} has a quantity that is not a positive number (${JSON.stringify(product.quantity)})`);
+            }
+            ['unitPrice', 'subTotal']
+                .filter(field => product[field] !== undefined)
+                .forEach(field => {
+                    if (!isNumeric(product[field])) {
+                        problems.push(`${label} has a non-numeric ${field} (${JSON.stringify(product[field])})`);
+                    } else if (Number(product[field]) < 0) {
+                        problems.push(`${label} has a negative ${field} (${product[field]})`);
+                    }
+                });
+        });
+        return problems;
+    }
+};
+
+// Check a parsed submission against the schema its form mapping implies. Every mapped question
+// must be in the payload, required fields must be answered and answers must have the right shape.
+// Returns every problem found as { field, question, message }; an empty list means the submission is valid.
+function validateSubmission(rawRequest, form) {
+    const errors = [];
+
+    Object.entries(form.fields).forEach(([field, question]) => {
+        if (!question) return;
+        const { required, type } = MAPPING_FIELDS[field];
+        const value = rawRequest[question];
+
+        if (value === undefined) {
+            errors.push({ field: field, question: question, message: `${question} is missing` });
+            return;
+        }
+        if (isEmpty(value)) {
+            if (required) errors.push({ field: field, question: question, message: `${question} is required` });
+            return;
+        }
+        CHECKERS[type](value).forEach(problem => {
+            errors.push({ field: field, question: question, message: `${question} ${problem}` });
+        });
+    });
+
+    return errors;
+}
+
+module.exports = { validateSubmission };
@@ -0,0 +1,147 @@
+const { permanentError } = require('./errors');
+const { escapeLike } = require('./odoo');
+
+// Resolves Jotform product options to the matching variant of a single Odoo product template.
+// Missing attributes and attribute values are only created when allowCreate is set;
+// otherwise the order fails so nobody books a line against the wrong variant.
+// Templates without any attribute lines have a single variant, which takes every order
+// with the options left in the line description, as before options were resolved.
+function createVariantResolver(call, { allowCreate = false } = {}) {
+    // Retrying will not help until someone fixes the catalog
+    function missing(message) {
+        return permanentError(`${message} (set ODOO_CREATE_ATTRIBUTE_VALUES=true to create it automatically)`);
+    }
+
+    // Jotform often prefixes options with the product name ("T-Shirt Size"), Odoo usually just says "Size"
+    function attributeNames(productName, optionName) {
+        const names = [optionName];
+        if (optionName.toLowerCase().startsWith(`${productName.toLowerCase()} `)) {
+            names.push(optionName.slice(productName.length + 1));
+        }
+        return names;
+    }
+
+    async function findAttribute(productName, optionName) {
+        for (const name of attributeNames(productName, optionName)) {
+            const ids = await call('product.attribute', 'search', [[['name', '=ilike', escapeLike(name)]]], { limit: 1 });
+            if (ids.length) return ids[0];
+        }
+        return null;
+    }
+
+    async function findOrCreateAttribute(productName, optionName) {
+        const existingId = await findAttribute(productName, optionName);
+        if (existingId) return existingId;
+
+        // New attributes get the short name so products can share them
+        const names = attributeNames(productName, optionName);
+        const name = names[names.length - 1];
+        if (!allowCreate) throw missing(`Product attribute "${optionName}" does not exist in Odoo`);
+        const attributeId = await call('product.attribute', 'create', [{ name: name, create_variant: 'always' }]);
+        console.log(`Created product attribute "${name}" with ID:`, attributeId);
+        return attributeId;
+    }
+
+    async function findAttributeValue(attributeId, value) {
+        const ids = await call('product.attribute.value', 'search',
+            [[['attribute_id', '=', attributeId], ['name', '=ilike', escapeLike(value)]]], { limit: 1 });
+        return ids.length ? ids[0] : null;
+    }
+
+    async function findOrCreateAttributeValue(attributeId, optionName, value) {
+        const existingId = await findAttributeValue(attributeId, value);
+        if (existingId) return existingId;
+
+        if (!allowCreate) throw missing(`Value "${value}" of product attribute "${optionName}" does not exist in Odoo`);
+        const valueId = await call('product.attribute.value', 'create', [{ attribute_id: attributeId, name: value }]);
+        console.log(`Created value "${value}" for attribute "${optionName}" with ID:`, valueId);
+        return valueId;
+    }
+
+    // Make sure the template offers the value, otherwise Odoo has no variant for it
+    async function ensureTemplateOffersValue(templateId, attributeId, valueId, optionName, value) {
+        const lines = await call('product.template.attribute.line', 'search_read',
+            [[['product_tmpl_id', '=', templateId], ['attribute_id', '=', attributeId]]],
+            { fields: ['value_ids'], limit: 1 });
+
+        if (lines.length && lines[0].value_ids.includes(valueId)) return;
+        if (!allowCreate) throw missing(`Product template ${templateId} does not offer "${optionName}: ${value}"`);
+
+        if (lines.length) {
+            await call('product.template.attribute.line', 'write', [[lines[0].id], { value_ids: [[4, valueId]] }]);
+        } else {
+            await call('product.template.attribute.line', 'create', [{
+                product_tmpl_id: templateId,
+                attribute_id: attributeId,
+                value_ids: [[6, 0, [valueId]]]
+            }]);
+        }
+    }
+
+    // Only a single matching variant is taken: options that leave several open (or no options on a
+    // template with variants) do not say which one was ordered
+    async function findVariant(templateId, valueIds, options) {
+        const domain = [['product_tmpl_id', '=', templateId]];
+        valueIds.forEach(valueId => domain.push(['product_template_attribute_value_ids.product_attribute_value_id', '=', valueId]));
+
+        const variantIds = await call('product.product', 'search', [domain], { limit: 2 });
+        const description = Object.entries(options || {}).map(([name, value]) => `${name}: ${value}`).join(', ');
+        if (!variantIds.length) {
+            throw permanentError(`No variant of product template ${templateId} matches (${description})`);
+        }
+        if (variantIds.length > 1) {
+            throw permanentError(`Several variants of product template ${templateId} match (${description || 'no options'}), cannot tell which was ordered`);
+        }
+        return variantIds[0];
+    }
+
+    // Returns the product.product ID of the template variant matching all options
+    async function resolveVariant(templateId, productName, options) {
+        const valueIds = [];
+        if (!allowCreate && Object.keys(options || {}).length) {
+            const lineCount = await call('product.template.attribute.line', 'search_count', [[['product_tmpl_id', '=', templateId]]]);
+            if (!lineCount) return findVariant(templateId, [], options);
+        }
+
+        for (const [optionName, value] of Object.entries(options || {})) {
+            const attributeId = await findOrCreateAttribute(productName, optionName);
+            const valueId = await findOrCreateAttributeValue(attributeId, optionName, value);
+            await ensureTemplateOffersValue(templateId, attributeId, valueId, optionName, value);
+            valueIds.push(valueId);
+        }
+        return findVariant(templateId, valueIds, options);
+    }
+
+    // Creates the template of a product Odoo does not know yet, together with its attribute lines,
+    // and returns the variant matching the options. When an option has no attribute value in Odoo
+    // (and may not create one) the template gets no attribute lines, so no half-built template is left.
+    async function createTemplateVariant(templateValues, productName, options) {
+        const lines = new Map();
+        for (const [optionName, value] of Object.entries(options || {})) {
+            const attributeId = allowCreate ? await findOrCreateAttribute(productName, optionName) : await findAttribute(productName, optionName);
+            const valueId = attributeId && (allowCreate
+                ? await findOrCreateAttributeValue(attributeId, optionName, value)
+                : await findAttributeValue(attributeId, value));
+            if (!valueId) {
+                console.warn(`"${optionName}: ${value}" has no attribute value in Odoo, creating "${productName}" without variants`);
+                lines.clear();
+                break;
+            }
+            lines.set(attributeId, [...(lines.get(attributeId) || []), valueId]);
+        }
+
+        const templateId = await call('product.template', 'create', [{
+            ...templateValues,
+            attribute_line_ids: [...lines].map(([attributeId, valueIds]) => [0, 0, {
+                attribute_id: attributeId,
+                value_ids: [[6, 0, valueIds]]
+            }])
+        }]);
+        console.log(`Created product template "${productName}" with ID:`, templateId);
+        return findVariant(templateId, [...lines.values()].flat(), options);
+    }
+
+    return { resolveVariant, createTemplateVariant };
+}
+
+module.exports = { createVariantResolver };